@@ -1,25 +1,99 @@
-import { callHuggingFace } from '../config/huggingface.js';
+import { LLMUnavailableError } from '../llm/resilience.js';
+import { generateStructured, StructuredOutputError } from '../llm/structuredOutput.js';
+import { InputGuard } from '../prompts/guard.js';
+import { renderPrompt } from '../prompts/registry.js';
+import { parseBestDeadline, parseDeadline } from '../utils/deadlineParser.js';
+import { classifyGoalType, getGoalType, GOAL_TYPE_KEYS, normalizeGoalType } from './goalTypes.js';
+
+// Expected shape of the model's answer
+export const goalAnalysisSchema = {
+  type: 'object',
+  properties: {
+    parsedDeadline: { type: 'string' },
+    subject: { type: 'string' },
+    goalType: { type: 'string' },
+    complexity: { type: 'string' },
+    recommendedApproach: { type: 'string' },
+    smart: { type: 'object' },
+    rewrittenGoal: { type: 'string' }
+  },
+  required: ['subject'],
+  additionalProperties: false
+};
+
+// SMART criteria in display order; each is scored 1-5
+export const SMART_CRITERIA = ['specific', 'measurable', 'achievable', 'relevant', 'timeBound'];
+
+const VAGUE_PATTERN = /\b(get better|improve|be good|work on|get into|stuff|things|somehow|more)\b/i;
+const MEASURE_PATTERN = /\b\d+(\.\d+)?\s*(%|k|km|miles?|kg|lbs?|words?|pages?|chapters?|applications?|problems?|exercises?|push-?ups?|minutes?|points?|grade|score)\b|\b(pass|finish|complete|publish|launch|deploy|submit|ship|score|get (an? )?(offer|job|certificate))\b/i;
+const PURPOSE_PATTERN = /\b(so that|because|in order to|to become|for my|for the|for a)\b/i;
+
+// Information a plan cannot be built well without, with the question that asks for it
+export const CLARIFYING_QUESTIONS = {
+  deadline: {
+    label: 'Deadline',
+    question: 'When do you need to reach this goal? (e.g. "in 3 weeks" or "by March 1")'
+  },
+  currentLevel: {
+    label: 'Current level',
+    question: 'What is your current level in this subject: complete beginner, some experience or advanced?'
+  },
+  hoursPerDay: {
+    label: 'Hours per day',
+    question: 'How many hours per day can you study?'
+  }
+};
+
+const LEVEL_PATTERN = /\b(beginner|novice|intermediate|advanced|expert|basics?|from scratch|no (prior )?experience|already (know|can)|i know|familiar|rusty|refresh|brush up|level|grade)\b/i;
+const HOURS_PATTERN = /\b\d+(\.\d+)?\s*(h|hrs?|hours?|min(ute)?s?)\b|\b(an? )?(hour|evening|morning)s? (a|per|each|every) (day|week|night)\b/i;
 
 export class GoalAnalyzerAgent {
   constructor() {
     this.name = "Goal Analyzer";
+    this.lastOutputSource = null;
+    this.lastPrompt = null;
+    this.lastInputFlags = [];
+    this.lastError = null;
   }
 
   /**
    * Analyze user goal
    * @param {string} goalText
+   * @param {Object} llmOptions - Extra LLM call options (bypassCache, onCall)
+   * @param {Object} deadlineOptions - Reference time and time zone for deadline parsing ({ now, timeZone })
    * @returns {Promise<Object>}
    */
-  async analyzeGoal(goalText) {
+  async analyzeGoal(goalText, llmOptions = {}, deadlineOptions = {}) {
+    this.lastError = null;
     try {
       const prompt = this.buildPrompt(goalText);
-      const response = await callHuggingFace(prompt, {
+      const result = await generateStructured(prompt, goalAnalysisSchema, {
+        ...llmOptions,
+        agent: 'goalAnalyzer',
         maxTokens: 800,
         maxRetries: 3
       });
 
-      return this.parseResponse(response, goalText);
+      this.lastOutputSource = result.source;
+      return this.parseResponse(result.data, goalText, deadlineOptions);
     } catch (error) {
+      if (error instanceof LLMUnavailableError) {
+        console.warn(`${this.name}: ${error.message}, using fallback analysis`);
+        this.lastOutputSource = 'fallback';
+        this.lastError = error.message;
+        return this.createFallbackAnalysis(goalText, deadlineOptions);
+      }
+
+      if (error instanceof StructuredOutputError) {
+        console.error('Failed to parse AI response:', error.errors);
+        console.log('Raw response:', error.raw);
+
+        // Use fallback analysis
+        this.lastOutputSource = 'fallback';
+        this.lastError = error.errors.join('; ');
+        return this.createFallbackAnalysis(goalText, deadlineOptions);
+      }
+
       console.error('Goal analysis failed:', error);
       throw new Error(`Failed to analyze goal: ${error.message}`);
     }
@@ -30,85 +104,121 @@ export class GoalAnalyzerAgent {
    * @private
    */
   buildPrompt(goalText) {
-    return `Analyze this goal and provide structured information in JSON format.
+    const guard = new InputGuard();
+    const rendered = renderPrompt('goalAnalyzer.analyze', {
+      goalText: guard.fence(goalText, 'goal'),
+      goalTypes: GOAL_TYPE_KEYS.join(', ')
+    });
+    this.lastPrompt = { name: rendered.name, version: rendered.version, source: rendered.source };
+    this.lastInputFlags = guard.getFlags();
+    return rendered.text;
+  }
 
-Goal: "${goalText}"
+  /**
+   * Map validated AI output to a goal analysis
+   * @private
+   */
+  parseResponse(parsed, originalGoal, deadlineOptions = {}) {
+    return {
+      originalGoal,
+      parsedDeadline: parsed.parsedDeadline || 'not specified',
+      // The more confident of goal text and model phrase; ties go to the goal text
+      deadline: parseBestDeadline([originalGoal, parsed.parsedDeadline], deadlineOptions),
+      subject: parsed.subject || 'General task',
+      // Keywords decide when the model names no known type
+      goalType: normalizeGoalType(parsed.goalType) || classifyGoalType(originalGoal),
+      complexity: this.validateComplexity(parsed.complexity),
+      recommendedApproach: parsed.recommendedApproach || 'Break down into smaller tasks',
+      ...this.gradeGoal(originalGoal, parsed, deadlineOptions),
+      analyzedAt: new Date().toISOString()
+    };
+  }
 
-Please provide your analysis in the following JSON structure (respond ONLY with valid JSON, no other text):
+  /**
+   * SMART grade and rewrite: the model's per-criterion scores where valid,
+   * rule-based ones otherwise
+   * @private
+   */
+  gradeGoal(goalText, parsed, deadlineOptions = {}) {
+    const baseline = this.assessSmart(goalText, {
+      deadline: parseBestDeadline([goalText, parsed.parsedDeadline], deadlineOptions),
+      complexity: this.validateComplexity(parsed.complexity)
+    });
+    const modelCriteria = parsed.smart || {};
 
-{
-  "parsedDeadline": "extracted deadline or 'not specified'",
-  "subject": "main subject/topic",
-  "complexity": "low/medium/high",
-  "recommendedApproach": "brief recommended approach"
-}
+    const criteria = Object.fromEntries(SMART_CRITERIA.map(key => {
+      const answer = modelCriteria[key];
+      const score = parseInt(answer?.score);
+      return [key, score >= 1 && score <= 5 && typeof answer.explanation === 'string'
+        ? { score, explanation: answer.explanation }
+        : baseline.smart.criteria[key]];
+    }));
 
-Analyze the goal carefully:
-- Extract any deadline mentioned (dates, relative times like "in 2 weeks")
-- Identify the main subject or topic
-- Assess complexity based on scope and requirements
-- Suggest a brief approach to achieve it
+    const rewrittenGoal = typeof parsed.rewrittenGoal === 'string' && parsed.rewrittenGoal.trim()
+      ? parsed.rewrittenGoal.trim().slice(0, 500)
+      : baseline.rewrittenGoal;
 
-Respond only with the JSON object, nothing else.`;
+    return { smart: this.summarizeSmart(criteria), rewrittenGoal };
   }
 
   /**
-   * Parse AI response
-   * @private
+   * Rule-based SMART assessment with a rewrite that marks what is missing
+   * @param {string} goalText - Goal description
+   * @param {Object} hints
+   * @param {Object} hints.deadline - parseDeadline result
+   * @param {string} hints.complexity - low, medium or high
+   * @returns {Object} { smart: { score, rating, criteria }, rewrittenGoal }
    */
-  parseResponse(response, originalGoal) {
-    try {
-      // Clean response formatting
-      let cleanedResponse = response?.toString?.() ? response.toString().trim() : String(response).trim();
-      cleanedResponse = cleanedResponse.replace(/```json\n?/g, '');
-      cleanedResponse = cleanedResponse.replace(/```\n?/g, '');
-      cleanedResponse = cleanedResponse.trim();
-
-      // Try to parse JSON directly first. If that fails, attempt to extract
-      // the first JSON object block from the response (handles appended
-      // commentary or stray text after the JSON).
-      let parsed;
-      try {
-        parsed = JSON.parse(cleanedResponse);
-      } catch (err) {
-        // Attempt to extract JSON object using regex
-        const match = cleanedResponse.match(/\{[\s\S]*\}/);
-        if (match) {
-          const candidate = match[0];
-          try {
-            parsed = JSON.parse(candidate);
-          } catch (err2) {
-            // As a last resort, trim to the last closing brace and try again
-            const firstBrace = cleanedResponse.indexOf('{');
-            const lastBrace = cleanedResponse.lastIndexOf('}');
-            if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-              const sliced = cleanedResponse.slice(firstBrace, lastBrace + 1);
-              parsed = JSON.parse(sliced); // may still throw
-            } else {
-              throw err2;
-            }
-          }
-        } else {
-          throw err;
-        }
-      }
+  assessSmart(goalText, { deadline, complexity = 'medium' } = {}) {
+    const words = goalText.trim().split(/\s+/).filter(Boolean).length;
+    const days = deadline?.daysRemaining;
 
-      // Validate parsed output
-      return {
-        originalGoal,
-        parsedDeadline: parsed.parsedDeadline || 'not specified',
-        subject: parsed.subject || 'General task',
-        complexity: this.validateComplexity(parsed.complexity),
-        recommendedApproach: parsed.recommendedApproach || 'Break down into smaller tasks',
-        analyzedAt: new Date().toISOString()
-      };
-    } catch (error) {
-      console.error('Failed to parse AI response:', error);
-      console.log('Raw response:', response);
-      
-      // Use fallback analysis
-      return this.createFallbackAnalysis(originalGoal);
-    }
+    const criteria = {
+      specific: words < 3
+        ? { score: 1, explanation: 'The goal is only a few words; say exactly what you want to do.' }
+        : VAGUE_PATTERN.test(goalText)
+        ? { score: 2, explanation: 'The wording is vague; name the exact skill, topic or result.' }
+        : { score: words >= 5 ? 4 : 3, explanation: 'The goal names what you want to work on.' },
+      measurable: MEASURE_PATTERN.test(goalText)
+        ? { score: 4, explanation: 'The goal has an outcome you can check.' }
+        : { score: 2, explanation: 'Nothing says how you will know it is reached; add a number or a finished result.' },
+      achievable: typeof days === 'number' && days < 0
+        ? { score: 1, explanation: 'The deadline has already passed.' }
+        : typeof days === 'number' && days <= 7 && complexity === 'high'
+        ? { score: 2, explanation: `A complex goal in ${days} day(s) is very ambitious.` }
+        : { score: 3, explanation: 'Looks achievable; check it against the hours you can spend.' },
+      relevant: PURPOSE_PATTERN.test(goalText)
+        ? { score: 4, explanation: 'The goal says why it matters.' }
+        : { score: 3, explanation: 'Say what the goal leads to, so it stays a priority.' },
+      timeBound: deadline?.date
+        ? { score: 5, explanation: `Deadline: ${deadline.date}.` }
+        : { score: 1, explanation: 'There is no deadline; add a date or a time frame.' }
+    };
+
+    const missing = [
+      criteria.measurable.score <= 2 && '[add a measurable result, e.g. "pass the final exam"]',
+      criteria.timeBound.score <= 2 && '[add a deadline, e.g. "by June 1"]'
+    ].filter(Boolean);
+
+    return {
+      smart: this.summarizeSmart(criteria),
+      rewrittenGoal: [goalText.trim().replace(/[.!]+$/, ''), ...missing].join(' ')
+    };
+  }
+
+  /**
+   * Overall SMART score (average, 1-5) and rating
+   * @private
+   */
+  summarizeSmart(criteria) {
+    const score = Math.round(
+      (SMART_CRITERIA.reduce((sum, key) => sum + criteria[key].score, 0) / SMART_CRITERIA.length) * 10
+    ) / 10;
+    return {
+      score,
+      rating: score >= 4 ? 'strong' : score >= 3 ? 'fair' : 'weak',
+      criteria
+    };
   }
 
   /**
@@ -125,22 +235,46 @@ Respond only with the JSON object, nothing else.`;
    * Generate fallback analysis
    * @private
    */
-  createFallbackAnalysis(goalText) {
+  createFallbackAnalysis(goalText, deadlineOptions = {}) {
     // Heuristic goal analysis
+    const deadline = parseDeadline(goalText, deadlineOptions);
     const hasDeadline = /(\d+\s*(day|week|month|year)|deadline|by\s+\w+)/i.test(goalText);
     const wordCount = goalText.split(/\s+/).length;
     
     return {
       originalGoal: goalText,
-      parsedDeadline: hasDeadline ? 'deadline mentioned' : 'not specified',
+      parsedDeadline: hasDeadline || deadline.date ? 'deadline mentioned' : 'not specified',
+      deadline,
       subject: goalText.substring(0, 50) + (goalText.length > 50 ? '...' : ''),
+      goalType: classifyGoalType(goalText),
       complexity: wordCount > 20 ? 'high' : wordCount > 10 ? 'medium' : 'low',
       recommendedApproach: 'Break goal into smaller, manageable tasks and set milestones',
+      ...this.assessSmart(goalText, { deadline, complexity: wordCount > 20 ? 'high' : wordCount > 10 ? 'medium' : 'low' }),
       analyzedAt: new Date().toISOString(),
       note: 'Fallback analysis used due to parsing error'
     };
   }
 
+  /**
+   * Find critical information the goal leaves out
+   * @param {Object} analysis - Result of analyzeGoal
+   * @param {Object} options
+   * @param {Array<string>} options.skip - Keys already answered elsewhere, e.g. hoursPerDay from preferences
+   * @returns {Array<Object>} [{ key, question }]; empty when the goal is specific enough
+   */
+  findMissingInfo(analysis, { skip = [] } = {}) {
+    const goalText = analysis.originalGoal || '';
+    const missing = {
+      deadline: !analysis.deadline?.date,
+      currentLevel: !LEVEL_PATTERN.test(goalText),
+      hoursPerDay: !HOURS_PATTERN.test(goalText)
+    };
+
+    return Object.entries(CLARIFYING_QUESTIONS)
+      .filter(([key]) => missing[key] && !skip.includes(key))
+      .map(([key, { question }]) => ({ key, question }));
+  }
+
   /**
    * Format analysis output
    * @param {Object} analysis
@@ -155,9 +289,10 @@ Original Goal: ${analysis.originalGoal}
 
 Deadline: ${analysis.parsedDeadline}
 Subject: ${analysis.subject}
+Type: ${getGoalType(analysis.goalType).label}
 Complexity: ${analysis.complexity.toUpperCase()}
 Recommended Approach: ${analysis.recommendedApproach}
-
+${analysis.smart ? `SMART Score: ${analysis.smart.score}/5 (${analysis.smart.rating})\nSuggested Rewrite: ${analysis.rewrittenGoal}\n` : ''}
 Analyzed: ${new Date(analysis.analyzedAt).toLocaleString()}
 ${analysis.note ? `\n⚠️  ${analysis.note}` : ''}
     `.trim();
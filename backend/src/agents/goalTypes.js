@@ -0,0 +1,124 @@
+/**
+ * Goal types and the type-specific rules the agents apply.
+ * Each type carries keywords for offline classification, guidance for the
+ * decomposition and scheduling prompts, an estimation cap per task and the
+ * steps used when the model's tasks are unusable.
+ */
+export const GOAL_TYPES = {
+  study: {
+    label: 'Study',
+    keywords: /\b(learn|learning|study|studying|exam|exams|course|class|lecture|revise|revision|certification|master|understand|language|grammar|vocabulary)\b/gi,
+    decomposition: 'Work from fundamentals to practice: theory first, then exercises, then review. End with a self-test or mock exam.',
+    scheduling: 'Put practice after the theory it depends on and spread review sessions over several days.',
+    maxTaskHours: 40,
+    fallbackSteps: [
+      'Collect materials and survey the topics',
+      'Learn the core concepts',
+      'Practice with exercises',
+      'Review weak areas',
+      'Test yourself with a mock exam'
+    ]
+  },
+  fitness: {
+    label: 'Fitness',
+    keywords: /\b(run|running|marathon|5k|10k|gym|workout|workouts|lift|lifting|fitness|exercise|push-?ups?|pull-?ups?|squats?|cardio|yoga|swim|swimming|cycling|stretch|stretching|lose weight|strength)\b/gi,
+    decomposition: 'Every task is one training session of at most 2 hours. Increase the load gradually and include recovery or mobility sessions.',
+    scheduling: 'At most 2 training days in a row: every third day is a rest day with no tasks. No more than 2 hours of training per day.',
+    maxTaskHours: 2,
+    maxHoursPerDay: 2,
+    restDayEvery: 3,
+    fallbackSteps: [
+      'Baseline test to measure your starting level',
+      'Foundation training session',
+      'Recovery and mobility session',
+      'Progressive training session',
+      'Benchmark session to measure progress'
+    ]
+  },
+  writing: {
+    label: 'Writing',
+    keywords: /\b(write|writing|novel|book|essay|thesis|dissertation|article|blog|chapter|chapters|manuscript|draft|story|poem|poetry|words)\b/gi,
+    decomposition: 'Separate outlining, drafting (with word-count targets per section), revision passes and a final edit. Drafting and editing are never the same task.',
+    scheduling: 'Leave at least one day between finishing a draft and revising it.',
+    maxTaskHours: 4,
+    fallbackSteps: [
+      'Outline the piece',
+      'Draft the first section',
+      'Draft the remaining sections',
+      'Revise the full draft',
+      'Final edit and proofread'
+    ]
+  },
+  job_search: {
+    label: 'Job search',
+    keywords: /\b(job|jobs|career|resume|cv|interview|interviews|hired|apply|applications?|linkedin|recruiters?|offer|internship|portfolio|networking)\b/gi,
+    decomposition: 'Cover materials (resume, portfolio, profiles), research target employers, batches of applications with a count (e.g. "Send 5 applications"), networking and interview preparation.',
+    scheduling: 'Spread applications and networking over the days instead of sending everything at once; interview preparation comes before any interview date.',
+    maxTaskHours: 4,
+    fallbackSteps: [
+      'Update resume and online profiles',
+      'Research target companies',
+      'Send a first batch of applications',
+      'Network and follow up on applications',
+      'Prepare for interviews'
+    ]
+  },
+  software_project: {
+    label: 'Software project',
+    keywords: /\b(app|website|web app|api|backend|frontend|deploy|deployment|launch|mvp|prototype|feature|features|saas|repo|codebase|bot|plugin|game)\b/gi,
+    decomposition: 'Group the work into milestones that each end in a demonstrable deliverable, e.g. "Deliverable: working login page". Mark each deliverable task with "milestone": true.',
+    scheduling: 'Finish each milestone deliverable before starting work on the next milestone.',
+    maxTaskHours: 8,
+    milestones: true,
+    fallbackSteps: [
+      'Define requirements and scope',
+      'Set up the project and tooling',
+      'Deliverable: first working version of the core feature',
+      'Deliverable: remaining features complete',
+      'Deliverable: tested and deployed release'
+    ]
+  },
+  general: {
+    label: 'General',
+    keywords: null,
+    decomposition: 'Break the goal into concrete steps that each produce visible progress.',
+    scheduling: 'Distribute the work evenly.',
+    maxTaskHours: 40,
+    fallbackSteps: []
+  }
+};
+
+export const GOAL_TYPE_KEYS = Object.keys(GOAL_TYPES);
+
+/**
+ * @param {string} key - Goal type key
+ * @returns {Object} Rules for the type; general for unknown keys
+ */
+export const getGoalType = (key) => GOAL_TYPES[key] || GOAL_TYPES.general;
+
+/**
+ * Map a model's answer ("Software Project", "job-search") to a type key
+ * @param {string} value - Goal type as written by the model
+ * @returns {string|null} Type key, or null when it is not a known type
+ */
+export const normalizeGoalType = (value) => {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return GOAL_TYPES[key] ? key : null;
+};
+
+/**
+ * Classify goal text by keyword matches; the type with most matches wins
+ * @param {string} goalText - Goal description
+ * @returns {string} Type key, general when nothing matches
+ */
+export const classifyGoalType = (goalText = '') => {
+  let best = { key: 'general', matches: 0 };
+  Object.entries(GOAL_TYPES).forEach(([key, { keywords }]) => {
+    const matches = keywords ? (goalText.match(keywords) || []).length : 0;
+    if (matches > best.matches) best = { key, matches };
+  });
+  return best.key;
+};
+
+export default GOAL_TYPES;
@@ -1,136 +1,192 @@
-import { callHuggingFace } from '../config/huggingface.js';
+import { priorityConfig } from '../config/priority.js';
+import { generateStructured } from '../llm/structuredOutput.js';
+import { fenceUserContent, INPUT_LIMITS, InputGuard } from '../prompts/guard.js';
+import { renderPrompt } from '../prompts/registry.js';
+import { blendScores, scoreByModel } from '../utils/priorityModel.js';
+import { findCriticalPath } from '../utils/taskGraph.js';
+import { getGoalType } from './goalTypes.js';
+
+// Expected shape of the model's answer
+export const priorityScoresSchema = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    properties: {
+      taskIndex: { type: 'integer', minimum: 0 },
+      score: { type: ['number', 'string'] },
+      reasoning: { type: 'string' }
+    },
+    required: ['taskIndex', 'score'],
+    additionalProperties: false
+  }
+};
 
 /**
  * Priority Scorer Agent
- * Scores tasks 1-10 based on urgency, importance, dependencies, and user history
+ * Scores tasks 1-10 based on urgency, importance, dependencies, and user history.
+ * The AI score is blended with a deterministic priority model whose per-factor
+ * breakdown is kept on every task (see utils/priorityModel.js).
  */
 export class PriorityScorerAgent {
-  constructor() {
+  /**
+   * @param {Object} config - Model weights and AI share (default: config/priority.js)
+   */
+  constructor(config = priorityConfig) {
     this.name = "Priority Scorer";
+    this.config = config;
+    this.lastOutputSource = null;
+    this.lastPrompt = null;
+    this.lastInputFlags = [];
+    this.lastError = null;
   }
 
   /**
    * Score a list of tasks with context
    * @param {Array} tasks - Array of task objects
    * @param {Object} context - User context (deadline, past behavior, etc.)
+   * @param {Object} llmOptions - Extra LLM call options (bypassCache, onCall)
    * @returns {Promise<Array>} Tasks with priority scores
    */
-  async scoreTasks(tasks, context = {}) {
+  async scoreTasks(tasks, context = {}, llmOptions = {}) {
+    this.lastError = null;
     try {
       const prompt = this.buildPrompt(tasks, context);
-      const response = await callHuggingFace(prompt, {
+      const result = await generateStructured(prompt, priorityScoresSchema, {
+        ...llmOptions,
+        agent: 'priorityScorer',
         maxTokens: 1000,
         maxRetries: 3
       });
 
-      return this.parseResponse(response, tasks);
+      this.lastOutputSource = result.source;
+      return this.applyModel(this.parseResponse(result.data, tasks), context);
     } catch (error) {
-      console.error('Priority scoring failed:', error);
-      // Fallback to rule-based scoring
-      return this.applyFallbackScoring(tasks, context);
+      console.error('Priority scoring failed:', error.errors || error);
+      if (error.raw) console.log('Raw response:', error.raw);
+
+      // Fallback to the priority model alone
+      this.lastOutputSource = 'fallback';
+      this.lastError = error.errors?.join('; ') || error.message;
+      return this.applyModel(this.withoutAIScores(tasks, 'Rule-based scoring (fallback)'), context);
     }
   }
 
+  /**
+   * Score tasks with the rule-based model only, without calling the LLM
+   * @param {Array} tasks - Array of task objects
+   * @param {Object} context - User context (deadline, past behavior, etc.)
+   * @returns {Array} Tasks with priority scores
+   */
+  scoreByRules(tasks, context = {}) {
+    this.lastOutputSource = 'rules';
+    this.lastError = null;
+    return this.applyModel(this.withoutAIScores(tasks, 'Rule-based scoring'), context);
+  }
+
+  /**
+   * Add the priority model's score and breakdown to each task and blend
+   * it with the AI score; tasks without an AI score keep the model score.
+   * Tasks on the critical path are marked; the model counts that as a factor.
+   * @param {Array} tasks - Tasks with llmScore (null when the AI gave none)
+   * @param {Object} context - User context (daysUntilDeadline, userTendency)
+   * @returns {Array} Tasks with llmScore, modelScore, llmWeight, scoreFactors and the blended priorityScore
+   */
+  applyModel(tasks, context = {}) {
+    const { llmWeight } = this.config;
+    const model = scoreByModel(tasks, context, this.config);
+
+    return tasks.map((task, index) => {
+      const { modelScore, criticalPath, scoreFactors } = model[index];
+      const llmScore = task.llmScore ?? null;
+      return {
+        ...task,
+        llmScore,
+        modelScore,
+        // Share of the AI score in priorityScore
+        llmWeight: llmScore === null ? 0 : llmWeight,
+        scoreFactors,
+        priorityScore: blendScores(llmScore, modelScore, llmWeight),
+        ...(criticalPath && {
+          scoreReasoning: `${task.scoreReasoning} (on the critical path)`,
+          criticalPath: true
+        })
+      };
+    });
+  }
+
+  /**
+   * Tasks to be scored by the model alone
+   * @private
+   */
+  withoutAIScores(tasks, scoreReasoning) {
+    return tasks.map(task => ({
+      ...task,
+      llmScore: null,
+      scoreReasoning,
+      scoredAt: new Date().toISOString()
+    }));
+  }
+
   /**
    * Build the prompt for priority scoring
    * @private
    */
   buildPrompt(tasks, context) {
     const {
+      goalType,
       deadline = 'not specified',
       userTendency = 'balanced',
       completedTasksCount = 0,
       overdueHistory = 0
     } = context;
 
-    const taskList = tasks.map((task, i) => 
-      `${i + 1}. ${task.description} (${task.estimatedHours}h, priority: ${task.priority})`
-    ).join('\n');
-
-    return `Score these tasks from 1-10 based on multiple factors.
-
-TASKS:
-${taskList}
-
-CONTEXT:
-- Deadline: ${deadline}
-- User tendency: ${userTendency} (procrastinator/balanced/proactive)
-- Completed tasks: ${completedTasksCount}
-- Past overdue tasks: ${overdueHistory}
-
-SCORING FACTORS:
-1. Urgency (how close is deadline?)
-2. Importance (impact on goal)
-3. Dependencies (does this unlock other tasks?)
-4. User's historical performance
-
-Score each task 1-10 where:
-- 10 = highest priority (urgent, important, blocking others)
-- 5-7 = medium priority
-- 1-4 = lower priority (can wait)
-- Set the score based on the overall context, if the user need to do certain tasks sooner. Set it at a higher score.
-
-Consider:
-- Tasks with "high" priority should score 7-10
-- Earlier tasks in sequence often have higher priority
-- If user is a procrastinator, boost urgent task scores
-- Foundation tasks that unlock others score higher
-
-Respond ONLY with valid JSON array:
-
-[
-  {
-    "taskIndex": 0,
-    "score": 8,
-    "reasoning": "brief explanation"
-  }
-]`;
+    const guard = new InputGuard();
+    const numbers = new Map(tasks.map((task, i) => [task.id, i + 1]));
+    const critical = new Set(findCriticalPath(tasks));
+    const taskList = tasks.map((task, i) => {
+      const prerequisites = (task.dependsOn || []).map(id => numbers.get(id)).filter(Boolean);
+      return `${i + 1}. ${guard.clean(task.description, 'task', INPUT_LIMITS.task)} (${task.estimatedHours}h, priority: ${task.priority})`
+        + (prerequisites.length > 0 ? ` [depends on: ${prerequisites.join(', ')}]` : '')
+        + (critical.has(task) ? ' [critical path]' : '')
+        + (task.milestone ? ' [milestone]' : '');
+    }).join('\n');
+
+    const rendered = renderPrompt('priorityScorer.score', {
+      taskList: fenceUserContent(taskList, 'tasks'),
+      goalType: getGoalType(goalType).label,
+      deadline: guard.clean(deadline, 'deadline'),
+      userTendency,
+      completedTasksCount,
+      overdueHistory
+    });
+    this.lastPrompt = { name: rendered.name, version: rendered.version, source: rendered.source };
+    this.lastInputFlags = guard.getFlags();
+    return rendered.text;
   }
 
   /**
-   * Parse the AI response into scored tasks
+   * Apply validated AI scores to tasks as llmScore; tasks the AI skipped
+   * get null and are scored by the model alone
    * @private
    */
-  parseResponse(response, tasks) {
-    try {
-      // Clean the response
-      let cleanedResponse = response.trim();
-      cleanedResponse = cleanedResponse.replace(/```json\n?/g, '');
-      cleanedResponse = cleanedResponse.replace(/```\n?/g, '');
-      cleanedResponse = cleanedResponse.trim();
+  parseResponse(scores, tasks) {
+    console.log(`✅ Successfully parsed ${scores.length} priority scores from AI`);
 
-      // Parse JSON
-      const scores = JSON.parse(cleanedResponse);
+    return tasks.map((task, index) => {
+      const scoreData = scores.find(s => s.taskIndex === index);
 
-      if (!Array.isArray(scores)) {
-        throw new Error('Response is not an array');
+      if (!scoreData) {
+        console.warn(`⚠️  No score found for task ${index}, using fallback`);
       }
 
-      console.log(`✅ Successfully parsed ${scores.length} priority scores from AI`);
-
-      // Apply scores to tasks
-      return tasks.map((task, index) => {
-        const scoreData = scores.find(s => s.taskIndex === index);
-        
-        if (!scoreData) {
-          console.warn(`⚠️  No score found for task ${index}, using fallback`);
-        }
-        
-        return {
-          ...task,
-          priorityScore: scoreData ? this.validateScore(scoreData.score) : this.calculateFallbackScore(task, index),
-          scoreReasoning: scoreData?.reasoning || 'Fallback scoring applied',
-          scoredAt: new Date().toISOString()
-        };
-      });
-    } catch (error) {
-      console.error('Failed to parse priority scores:', error);
-      console.log('Raw response:', response);
-      
-      // Use fallback scoring instead of default 5
-      console.log('Using rule-based fallback scoring...');
-      return this.applyFallbackScoring(tasks, {});
-    }
+      return {
+        ...task,
+        llmScore: scoreData ? this.validateScore(scoreData.score) : null,
+        scoreReasoning: scoreData?.reasoning || 'Fallback scoring applied',
+        scoredAt: new Date().toISOString()
+      };
+    });
   }
 
   /**
@@ -145,65 +201,6 @@ Respond ONLY with valid JSON array:
     return num;
   }
 
-  /**
-   * Calculate fallback score for a single task
-   * @private
-   */
-  calculateFallbackScore(task, index) {
-    let score = 5; // base score
-
-    // Priority level adjustment
-    if (task.priority === 'high') score += 2;
-    if (task.priority === 'low') score -= 1;
-
-    // Order adjustment (earlier tasks score higher)
-    if (index < 2) score += 1;
-
-    // Validate final score
-    return Math.max(1, Math.min(10, Math.round(score)));
-  }
-
-  /**
-   * Apply rule-based scoring as fallback
-   * @private
-   */
-  applyFallbackScoring(tasks, context) {
-    const { deadline, userTendency = 'balanced' } = context;
-    
-    return tasks.map((task, index) => {
-      let score = 5; // base score
-
-      // Priority level adjustment
-      if (task.priority === 'high') score += 3;
-      if (task.priority === 'low') score -= 2;
-
-      // Order adjustment (earlier tasks score higher)
-      score += Math.max(0, 3 - index * 0.5);
-
-      // Deadline urgency
-      if (deadline && deadline !== 'not specified') {
-        const hasUrgentDeadline = /(\d+\s*(day|week)|tomorrow|urgent)/i.test(deadline);
-        if (hasUrgentDeadline) score += 2;
-      }
-
-      // User tendency adjustment
-      if (userTendency === 'procrastinator') {
-        // Boost early tasks for procrastinators
-        if (index < 2) score += 1;
-      }
-
-      // Validate final score
-      score = Math.max(1, Math.min(10, Math.round(score)));
-
-      return {
-        ...task,
-        priorityScore: score,
-        scoreReasoning: 'Rule-based scoring (fallback)',
-        scoredAt: new Date().toISOString()
-      };
-    });
-  }
-
   /**
    * Sort tasks by priority score (highest first)
    * @param {Array} tasks - Tasks with priority scores
@@ -260,6 +257,7 @@ Ranked Tasks:
 ${medal} [${task.priorityScore}/10] ${scoreBar}
    ${task.description}
    💭 ${task.scoreReasoning}
+   📊 ${this.formatBreakdown(task)}
    ⏱️  ${task.estimatedHours}h | 📍 Order: ${task.order}
 `;
     });
@@ -267,6 +265,20 @@ ${medal} [${task.priorityScore}/10] ${scoreBar}
     return output.trim();
   }
 
+  /**
+   * One line on how a score was made: AI and model scores, and the points
+   * each model factor added
+   * @private
+   */
+  formatBreakdown(task) {
+    const factors = (task.scoreFactors || [])
+      .filter(entry => entry.points > 0)
+      .map(entry => `${entry.factor} +${entry.points}`)
+      .join(', ');
+    const ai = task.llmScore === null || task.llmScore === undefined ? 'no AI score' : `AI ${task.llmScore} (×${task.llmWeight})`;
+    return `${ai} | model ${task.modelScore}${factors ? ` = 1 + ${factors}` : ''}`;
+  }
+
   /**
    * Create visual score bar
    * @private
@@ -1,4 +1,26 @@
-import { callHuggingFace } from '../config/huggingface.js';
+import { generateStructured } from '../llm/structuredOutput.js';
+import { fenceUserContent, INPUT_LIMITS, InputGuard } from '../prompts/guard.js';
+import { renderPrompt } from '../prompts/registry.js';
+
+// Expected shape of the model's answer
+export const reflectionSchema = {
+  type: 'object',
+  properties: {
+    analysis: { type: 'object' },
+    adjustments: {
+      type: 'object',
+      properties: {
+        scheduleChanges: { type: 'array' },
+        priorityChanges: { type: 'array' },
+        recommendedBufferPercent: { type: 'number', minimum: 0, maximum: 100 }
+      }
+    },
+    memoryUpdates: { type: 'array' },
+    insights: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['analysis', 'adjustments'],
+  additionalProperties: false
+};
 
 /**
  * Reflection Agent
@@ -8,6 +30,10 @@ import { callHuggingFace } from '../config/huggingface.js';
 export class ReflectionAgent {
   constructor() {
     this.name = "Reflection Agent";
+    this.lastOutputSource = null;
+    this.lastPrompt = null;
+    this.lastInputFlags = [];
+    this.lastError = null;
   }
 
   /**
@@ -15,19 +41,29 @@ export class ReflectionAgent {
    * @param {Object} currentPlan - Current schedule/plan
    * @param {Array} userProgress - Array of completed/missed tasks
    * @param {Object} userMemory - Historical patterns and preferences
+   * @param {Object} llmOptions - Extra LLM call options (bypassCache, onCall)
    * @returns {Promise<Object>} Adjusted plan with insights
    */
-  async reflect(currentPlan, userProgress, userMemory = {}) {
+  async reflect(currentPlan, userProgress, userMemory = {}, llmOptions = {}) {
+    this.lastError = null;
     try {
       const prompt = this.buildPrompt(currentPlan, userProgress, userMemory);
-      const response = await callHuggingFace(prompt, {
+      const result = await generateStructured(prompt, reflectionSchema, {
+        ...llmOptions,
+        agent: 'reflector',
         maxTokens: 1200,
         maxRetries: 3
       });
 
-      return this.parseResponse(response, currentPlan, userProgress, userMemory);
+      this.lastOutputSource = result.source;
+      return this.parseResponse(result.data, currentPlan, userProgress, userMemory);
     } catch (error) {
-      console.error('Reflection failed:', error);
+      console.error('Reflection failed:', error.errors || error);
+      if (error.raw) console.log('Raw response:', error.raw);
+
+      this.lastOutputSource = 'fallback';
+
+      this.lastError = error.errors?.join('; ') || error.message;
       return this.createFallbackReflection(currentPlan, userProgress, userMemory);
     }
   }
@@ -51,78 +87,30 @@ On-time completion: ${onTimeTasks.length}/${completedTasks.length}
 Missed/Incomplete: ${missedTasks.length}
 `;
 
+    const guard = new InputGuard();
     const missedTasksList = missedTasks.length > 0
-      ? missedTasks.map(t => `- ${t.taskDescription} (scheduled: ${t.scheduledTime}, priority: ${t.priorityScore}/10)`).join('\n')
+      ? missedTasks.map(t => `- ${guard.clean(t.taskDescription, 'task', INPUT_LIMITS.task)} (scheduled: ${t.scheduledTime}, priority: ${t.priorityScore}/10)`).join('\n')
       : 'None';
 
     const completedTasksList = completedTasks.slice(0, 5).map(t => 
-      `- ${t.taskDescription} (${t.completedOnTime ? '✓ on-time' : '⚠ late'})`
+      `- ${guard.clean(t.taskDescription, 'task', INPUT_LIMITS.task)} (${t.completedOnTime ? '✓ on-time' : '⚠ late'})`
     ).join('\n');
 
     const patterns = userMemory.patterns || [];
     const patternsSummary = patterns.length > 0
-      ? patterns.map(p => `- ${p.pattern}: ${p.description}`).join('\n')
+      ? patterns.map(p => `- ${guard.clean(p.pattern, 'pattern')}: ${guard.clean(p.description, 'pattern', INPUT_LIMITS.task)}`).join('\n')
       : 'No patterns identified yet';
 
-    return `Analyze this user's progress and suggest plan adjustments.
-
-CURRENT PROGRESS:
-${progressSummary}
-
-COMPLETED TASKS:
-${completedTasksList}
-
-MISSED/INCOMPLETE TASKS:
-${missedTasksList}
-
-USER PATTERNS (from memory):
-${patternsSummary}
-
-REMAINING SCHEDULE:
-${this.summarizeRemainingSchedule(currentPlan)}
-
-ANALYZE:
-1. Why were tasks missed? (time estimates off? priorities wrong? scheduling issues?)
-2. What patterns emerge? (procrastination? overestimation? specific times work better?)
-3. How should the plan adjust? (more buffer time? different times? re-prioritize?)
-4. What new patterns to remember?
-
-Respond ONLY with valid JSON:
-
-{
-  "analysis": {
-    "whyTasksMissed": "brief explanation",
-    "identifiedPatterns": ["pattern 1", "pattern 2"],
-    "userTendency": "procrastinator/overachiever/realistic"
-  },
-  "adjustments": {
-    "scheduleChanges": [
-      {
-        "change": "increase buffer time by 30%",
-        "reason": "tasks taking longer than estimated"
-      }
-    ],
-    "priorityChanges": [
-      {
-        "taskId": "task_id",
-        "newPriority": 9,
-        "reason": "blocking other tasks"
-      }
-    ],
-    "recommendedBufferPercent": 25
-  },
-  "memoryUpdates": [
-    {
-      "pattern": "evening_productivity",
-      "description": "User completes 80% more tasks in evening",
-      "confidence": "high"
-    }
-  ],
-  "insights": [
-    "insight 1",
-    "insight 2"
-  ]
-}`;
+    const rendered = renderPrompt('reflector.reflect', {
+      progressSummary,
+      completedTasksList: fenceUserContent(completedTasksList, 'completed_tasks'),
+      missedTasksList: fenceUserContent(missedTasksList, 'missed_tasks'),
+      patternsSummary: fenceUserContent(patternsSummary, 'patterns'),
+      remainingSchedule: this.summarizeRemainingSchedule(currentPlan)
+    });
+    this.lastPrompt = { name: rendered.name, version: rendered.version, source: rendered.source };
+    this.lastInputFlags = guard.getFlags();
+    return rendered.text;
   }
 
   /**
@@ -141,46 +129,30 @@ Respond ONLY with valid JSON:
   }
 
   /**
-   * Parse the AI response
+   * Map validated AI output to a reflection result
    * @private
    */
-  parseResponse(response, currentPlan, userProgress, userMemory) {
-    try {
-      // Clean the response
-      let cleanedResponse = response.trim();
-      cleanedResponse = cleanedResponse.replace(/```json\n?/g, '');
-      cleanedResponse = cleanedResponse.replace(/```\n?/g, '');
-      cleanedResponse = cleanedResponse.trim();
-
-      // Parse JSON
-      const reflection = JSON.parse(cleanedResponse);
+  parseResponse(reflection, currentPlan, userProgress, userMemory) {
+    // Apply adjustments to current plan
+    const adjustedPlan = this.applyAdjustments(currentPlan, reflection.adjustments);
 
-      // Apply adjustments to current plan
-      const adjustedPlan = this.applyAdjustments(currentPlan, reflection.adjustments);
+    // Update user memory
+    const updatedMemory = this.updateMemory(userMemory, reflection.memoryUpdates, userProgress);
 
-      // Update user memory
-      const updatedMemory = this.updateMemory(userMemory, reflection.memoryUpdates, userProgress);
-
-      return {
-        adjustedPlan,
-        analysis: reflection.analysis || {},
-        insights: reflection.insights || [],
-        memoryUpdates: reflection.memoryUpdates || [],
-        updatedMemory,
-        adjustmentsMade: reflection.adjustments || {},
-        reflectedAt: new Date().toISOString(),
-        progressAnalyzed: {
-          totalTasks: userProgress.length,
-          completed: userProgress.filter(p => p.status === 'completed').length,
-          missed: userProgress.filter(p => p.status === 'missed' || p.status === 'incomplete').length
-        }
-      };
-    } catch (error) {
-      console.error('Failed to parse reflection:', error);
-      console.log('Raw response:', response);
-      
-      return this.createFallbackReflection(currentPlan, userProgress, userMemory);
-    }
+    return {
+      adjustedPlan,
+      analysis: reflection.analysis || {},
+      insights: reflection.insights || [],
+      memoryUpdates: reflection.memoryUpdates || [],
+      updatedMemory,
+      adjustmentsMade: reflection.adjustments || {},
+      reflectedAt: new Date().toISOString(),
+      progressAnalyzed: {
+        totalTasks: userProgress.length,
+        completed: userProgress.filter(p => p.status === 'completed').length,
+        missed: userProgress.filter(p => p.status === 'missed' || p.status === 'incomplete').length
+      }
+    };
   }
 
   /**
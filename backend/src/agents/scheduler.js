@@ -1,4 +1,37 @@
-import { callHuggingFace } from '../config/huggingface.js';
+import { generateStructured } from '../llm/structuredOutput.js';
+import { fenceUserContent, INPUT_LIMITS, InputGuard } from '../prompts/guard.js';
+import { renderPrompt } from '../prompts/registry.js';
+import { orderByDependencies } from '../utils/taskGraph.js';
+import { getGoalType } from './goalTypes.js';
+
+// Highest score first; prerequisites always go before the tasks that need them
+const byScore = (a, b) => (b.priorityScore || 5) - (a.priorityScore || 5);
+
+// Expected shape of the model's answer
+export const scheduleSchema = {
+  type: 'object',
+  properties: {
+    schedule: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          day: { type: 'number' },
+          date: { type: 'string' },
+          tasks: { type: 'array' },
+          totalHours: { type: ['number', 'string'] },
+          timeOfDay: { type: 'string' },
+          restDay: { type: 'boolean' }
+        },
+        required: ['tasks']
+      }
+    },
+    summary: { type: 'object' }
+  },
+  required: ['schedule'],
+  additionalProperties: false
+};
 
 /**
  * Scheduler Agent
@@ -7,26 +40,48 @@ import { callHuggingFace } from '../config/huggingface.js';
 export class SchedulerAgent {
   constructor() {
     this.name = "Scheduler";
+    this.lastOutputSource = null;
+    this.lastPrompt = null;
+    this.lastInputFlags = [];
+    this.lastError = null;
   }
 
   /**
    * Create a day-by-day schedule for tasks
    * @param {Array} tasks - Prioritized tasks with scores
    * @param {Object} preferences - User scheduling preferences
+   * @param {Object} llmOptions - Extra LLM call options (bypassCache, onCall)
    * @returns {Promise<Object>} Schedule object with daily plan
    */
-  async createSchedule(tasks, preferences = {}) {
+  async createSchedule(tasks, preferences = {}, llmOptions = {}) {
+    this.lastError = null;
     try {
       const prompt = this.buildPrompt(tasks, preferences);
-      const response = await callHuggingFace(prompt, {
+      const result = await generateStructured(prompt, scheduleSchema, {
+        ...llmOptions,
+        agent: 'scheduler',
         maxTokens: 1200,
         maxRetries: 3
       });
 
-      return this.parseResponse(response, tasks, preferences);
+      const schedule = this.parseResponse(result.data, tasks, preferences);
+      const conflicts = this.findDependencyConflicts(schedule.schedule, tasks);
+      if (conflicts.length > 0) {
+        console.warn(`${this.name}: model schedule breaks or skips task dependencies, using fallback schedule`);
+        this.lastOutputSource = 'fallback';
+        this.lastError = conflicts.join('; ');
+        return this.createFallbackSchedule(tasks, preferences);
+      }
+
+      this.lastOutputSource = result.source;
+      return schedule;
     } catch (error) {
-      console.error('Schedule creation failed:', error);
+      console.error('Schedule creation failed:', error.errors || error);
+      if (error.raw) console.log('Raw response:', error.raw);
+
       // Fallback to rule-based scheduling
+      this.lastOutputSource = 'fallback';
+      this.lastError = error.errors?.join('; ') || error.message;
       return this.createFallbackSchedule(tasks, preferences);
     }
   }
@@ -40,112 +95,63 @@ export class SchedulerAgent {
       availableHoursPerDay = 4,
       preferredStudyTimes = ['morning', 'afternoon'],
       bufferTimePercent = 20,
-      startDate = new Date().toISOString().split('T')[0]
+      startDate = new Date().toISOString().split('T')[0],
+      goalType
     } = preferences;
 
-    const taskList = tasks
-      .sort((a, b) => (b.priorityScore || 5) - (a.priorityScore || 5))
-      .map((task, i) => 
-        `${i + 1}. [Score: ${task.priorityScore || 5}/10] ${task.description} (${task.estimatedHours}h)`
-      ).join('\n');
+    const guard = new InputGuard();
+    const ordered = orderByDependencies(tasks, byScore);
+    const numbers = new Map(ordered.map((task, i) => [task.id, i + 1]));
+    const taskList = ordered
+      .map((task, i) => {
+        const prerequisites = (task.dependsOn || []).map(id => numbers.get(id)).filter(Boolean);
+        return `${i + 1}. [Score: ${task.priorityScore || 5}/10] ${guard.clean(task.description, 'task', INPUT_LIMITS.task)} (${task.estimatedHours}h)`
+          + (prerequisites.length > 0 ? ` [depends on: ${prerequisites.join(', ')}]` : '');
+      }).join('\n');
 
     const totalHours = tasks.reduce((sum, t) => sum + t.estimatedHours, 0);
     const daysNeeded = Math.ceil(totalHours / availableHoursPerDay);
 
-    return `Create a day-by-day schedule for these tasks.
-
-TASKS (sorted by priority):
-${taskList}
-
-CONSTRAINTS:
-- Available hours per day: ${availableHoursPerDay}h
-- Preferred times: ${preferredStudyTimes.join(', ')}
-- Buffer time: ${bufferTimePercent}% (for breaks/unexpected delays)
-- Start date: ${startDate}
-- Total hours needed: ${totalHours}h
-- Estimated days: ~${daysNeeded} days
-
-SCHEDULING RULES:
-1. Higher priority tasks should be scheduled earlier
-2. Respect daily hour limits
-3. Include buffer time between tasks
-4. Distribute work evenly across days
-5. Consider task dependencies (earlier order = do first)
-6. Keep related tasks on same day when possible
-
-Respond ONLY with valid JSON:
-
-{
-  "schedule": [
-    {
-      "day": 1,
-      "date": "YYYY-MM-DD",
-      "tasks": [
-        {
-          "taskDescription": "task name",
-          "startTime": "HH:MM",
-          "duration": 2.0,
-          "bufferAfter": 0.5
-        }
-      ],
-      "totalHours": 2.5,
-      "timeOfDay": "morning"
-    }
-  ],
-  "summary": {
-    "totalDays": 5,
-    "totalHours": 20,
-    "averageHoursPerDay": 4
-  }
-}`;
+    const rendered = renderPrompt('scheduler.schedule', {
+      taskList: fenceUserContent(taskList, 'tasks'),
+      availableHoursPerDay,
+      preferredStudyTimes: preferredStudyTimes.join(', '),
+      bufferTimePercent,
+      startDate,
+      totalHours,
+      daysNeeded,
+      typeRules: getGoalType(goalType).scheduling
+    });
+    this.lastPrompt = { name: rendered.name, version: rendered.version, source: rendered.source };
+    this.lastInputFlags = guard.getFlags();
+    return rendered.text;
   }
 
   /**
-   * Parse the AI response into schedule object
+   * Map validated AI output to a schedule object
    * @private
    */
-  parseResponse(response, tasks, preferences) {
-    try {
-      // Clean the response
-      let cleanedResponse = response.trim();
-      cleanedResponse = cleanedResponse.replace(/```json\n?/g, '');
-      cleanedResponse = cleanedResponse.replace(/```\n?/g, '');
-      cleanedResponse = cleanedResponse.trim();
-
-      // Parse JSON
-      const scheduleData = JSON.parse(cleanedResponse);
-
-      // Validate and enhance
-      if (!scheduleData.schedule || !Array.isArray(scheduleData.schedule)) {
-        throw new Error('Invalid schedule format');
-      }
-
-      return {
-        schedule: scheduleData.schedule.map((day, index) => ({
-          day: day.day || index + 1,
-          date: day.date || this.calculateDate(preferences.startDate, index),
-          tasks: day.tasks || [],
-          totalHours: day.totalHours || 0,
-          timeOfDay: day.timeOfDay || 'morning',
-          createdAt: new Date().toISOString()
-        })),
-        summary: {
-          totalDays: scheduleData.summary?.totalDays || scheduleData.schedule.length,
-          totalHours: scheduleData.summary?.totalHours || this.calculateTotalHours(tasks),
-          averageHoursPerDay: scheduleData.summary?.averageHoursPerDay || 
-            (this.calculateTotalHours(tasks) / scheduleData.schedule.length).toFixed(1),
-          tasksScheduled: tasks.length,
-          generatedAt: new Date().toISOString()
-        },
-        preferences
-      };
-    } catch (error) {
-      console.error('Failed to parse schedule:', error);
-      console.log('Raw response:', response);
-      
-      // Return fallback schedule
-      return this.createFallbackSchedule(tasks, preferences);
-    }
+  parseResponse(scheduleData, tasks, preferences) {
+    return {
+      schedule: scheduleData.schedule.map((day, index) => ({
+        day: day.day || index + 1,
+        date: day.date || this.calculateDate(preferences.startDate, index),
+        tasks: day.tasks || [],
+        totalHours: day.totalHours || 0,
+        timeOfDay: day.timeOfDay || 'morning',
+        restDay: day.restDay === true || (day.tasks || []).length === 0,
+        createdAt: new Date().toISOString()
+      })),
+      summary: {
+        totalDays: scheduleData.summary?.totalDays || scheduleData.schedule.length,
+        totalHours: scheduleData.summary?.totalHours || this.calculateTotalHours(tasks),
+        averageHoursPerDay: scheduleData.summary?.averageHoursPerDay || 
+          (this.calculateTotalHours(tasks) / scheduleData.schedule.length).toFixed(1),
+        tasksScheduled: tasks.length,
+        generatedAt: new Date().toISOString()
+      },
+      preferences
+    };
   }
 
   /**
@@ -154,16 +160,17 @@ Respond ONLY with valid JSON:
    */
   createFallbackSchedule(tasks, preferences) {
     const {
-      availableHoursPerDay = 4,
       bufferTimePercent = 20,
       startDate = new Date().toISOString().split('T')[0],
-      preferredStudyTimes = ['morning']
+      preferredStudyTimes = ['morning'],
+      goalType
     } = preferences;
+    const type = getGoalType(goalType);
+    // Some goal types cap the daily load (e.g. training hours)
+    const availableHoursPerDay = Math.min(preferences.availableHoursPerDay || 4, type.maxHoursPerDay || Infinity);
 
-    // Sort by priority score
-    const sortedTasks = [...tasks].sort((a, b) => 
-      (b.priorityScore || 5) - (a.priorityScore || 5)
-    );
+    // Sort by priority score, prerequisites first
+    const sortedTasks = orderByDependencies(tasks, byScore);
 
     const schedule = [];
     let currentDay = 0;
@@ -187,6 +194,12 @@ Respond ONLY with valid JSON:
         currentDay++;
         currentDayHours = 0;
         currentDayTasks = [];
+
+        // Recovery days for goal types that need them (every Nth day)
+        if (type.restDayEvery && (currentDay + 1) % type.restDayEvery === 0) {
+          schedule.push(this.createRestDay(startDate, currentDay));
+          currentDay++;
+        }
       }
 
       // Add task to current day
@@ -197,7 +210,8 @@ Respond ONLY with valid JSON:
         priorityScore: task.priorityScore,
         startTime,
         duration: taskDuration,
-        bufferAfter: parseFloat(bufferTime.toFixed(1))
+        bufferAfter: parseFloat(bufferTime.toFixed(1)),
+        ...(task.milestone && { milestone: true })
       });
       currentDayHours += totalTime;
     });
@@ -214,13 +228,15 @@ Respond ONLY with valid JSON:
     }
 
     const totalHours = this.calculateTotalHours(tasks);
+    const workDays = schedule.filter(day => !day.restDay).length;
 
     return {
       schedule,
       summary: {
         totalDays: schedule.length,
         totalHours,
-        averageHoursPerDay: (totalHours / schedule.length).toFixed(1),
+        averageHoursPerDay: (totalHours / workDays).toFixed(1),
+        restDays: schedule.length - workDays,
         tasksScheduled: tasks.length,
         generatedAt: new Date().toISOString(),
         note: 'Fallback schedule generated'
@@ -229,6 +245,151 @@ Respond ONLY with valid JSON:
     };
   }
 
+  /**
+   * Reasons a schedule can't be trusted to respect task dependencies: a
+   * task placed before one of its prerequisites, an entry that matches no
+   * task (by taskId, else by description), or a task left out entirely
+   * @param {Array} days - Schedule days
+   * @param {Array} tasks - Scheduled tasks with resolved dependsOn
+   * @returns {Array<string>} Conflict descriptions
+   */
+  findDependencyConflicts(days, tasks) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const byDescription = new Map(tasks.map(task => [task.description?.trim(), task]));
+    const slots = new Map();
+    const conflicts = [];
+    let slot = 0;
+    days.forEach(day => (day.tasks || []).forEach(entry => {
+      const task = byId.get(entry.taskId) || byDescription.get(entry.taskDescription?.trim());
+      if (!task) {
+        conflicts.push(`"${entry.taskDescription || entry.taskId}" matches no task`);
+      } else if (!slots.has(task)) {
+        // A task split over several entries starts at its first one
+        slots.set(task, slot);
+      }
+      slot++;
+    }));
+
+    tasks.filter(task => !slots.has(task)).forEach(task => conflicts.push(`"${task.description}" is not scheduled`));
+
+    slots.forEach((position, task) => {
+      (task.dependsOn || []).map(id => byId.get(id)).forEach(prerequisite => {
+        if (prerequisite && slots.get(prerequisite) > position) {
+          conflicts.push(`"${task.description}" is scheduled before its prerequisite "${prerequisite.description}"`);
+        }
+      });
+    });
+    return conflicts;
+  }
+
+  /**
+   * Put the tasks a scheduled task was broken into where that task was.
+   * Days without the task keep their entries. When the children need more
+   * room than the task had, new days go in right after its last day and
+   * later days move back by as many dates; a task that was never
+   * scheduled gets its children appended.
+   * @param {Object} scheduleData - Stored schedule ({ schedule, summary, preferences })
+   * @param {Object} task - The replaced task ({ id, description, estimatedHours })
+   * @param {Array} children - Scored child tasks, in the order they should be done
+   * @returns {Object} New schedule object
+   */
+  replaceTaskInSchedule(scheduleData, task, children) {
+    const { schedule = [], summary = {}, preferences = {} } = scheduleData;
+    const {
+      availableHoursPerDay = 4,
+      bufferTimePercent = 20,
+      startDate = new Date().toISOString().split('T')[0],
+      preferredStudyTimes = ['morning']
+    } = preferences;
+    const isTask = entry => entry.taskId === task.id || entry.taskDescription === task.description;
+    const hoursOf = entries => entries.reduce((sum, entry) => sum + entry.duration + (entry.bufferAfter || 0), 0);
+    // Entries of a changed day are laid out again in their new order
+    const layOut = (day, entries) => {
+      let hours = 0;
+      const tasks = entries.map(entry => {
+        const placed = { ...entry, startTime: this.calculateStartTime(hours, day.timeOfDay) };
+        hours += entry.duration + (entry.bufferAfter || 0);
+        return placed;
+      });
+      return { ...day, tasks, totalHours: parseFloat(hours.toFixed(1)) };
+    };
+
+    const queue = children.map(child => ({
+      taskDescription: child.description,
+      taskId: child.id,
+      priorityScore: child.priorityScore,
+      duration: child.estimatedHours,
+      bufferAfter: parseFloat((child.estimatedHours * (bufferTimePercent / 100)).toFixed(1)),
+      ...(child.milestone && { milestone: true })
+    }));
+    const fits = (placed, room) => queue.length > 0 && hoursOf(placed) + hoursOf([queue[0]]) <= room;
+
+    const slots = schedule.map((day, index) => ((day.tasks || []).some(isTask) ? index : -1)).filter(index => index >= 0);
+    const days = schedule.map((day, index) => {
+      if (!slots.includes(index)) return day;
+      const at = day.tasks.findIndex(isTask);
+      const kept = day.tasks.filter(entry => !isTask(entry));
+      const room = availableHoursPerDay - hoursOf(kept);
+      const placed = [];
+      // A day that held nothing else takes at least one child
+      if (kept.length === 0 && queue.length > 0) placed.push(queue.shift());
+      while (fits(placed, room)) placed.push(queue.shift());
+      kept.splice(at, 0, ...placed);
+      return layOut(day, kept);
+    });
+
+    const added = [];
+    while (queue.length > 0) {
+      const placed = [queue.shift()];
+      while (fits(placed, availableHoursPerDay)) placed.push(queue.shift());
+      added.push(placed);
+    }
+
+    const last = slots.length > 0 ? slots[slots.length - 1] : days.length - 1;
+    const anchor = days[last];
+    const newDays = added.map((entries, i) => layOut({
+      date: anchor ? this.calculateDate(anchor.date, i + 1) : this.calculateDate(startDate, i),
+      timeOfDay: preferredStudyTimes[0] || 'morning'
+    }, entries));
+    const later = days.slice(last + 1).map(day => (newDays.length > 0
+      ? { ...day, date: this.calculateDate(day.date, newDays.length) }
+      : day));
+    const merged = [...days.slice(0, last + 1), ...newDays, ...later].map((day, index) => ({ ...day, day: index + 1 }));
+
+    const wasScheduled = slots.length > 0;
+    const totalHours = parseFloat(((summary.totalHours || 0)
+      - (wasScheduled ? task.estimatedHours || 0 : 0)
+      + this.calculateTotalHours(children)).toFixed(1));
+    const workDays = merged.filter(day => !day.restDay).length;
+
+    return {
+      schedule: merged,
+      summary: {
+        ...summary,
+        totalDays: merged.length,
+        totalHours,
+        averageHoursPerDay: workDays > 0 ? (totalHours / workDays).toFixed(1) : 0,
+        tasksScheduled: (summary.tasksScheduled || 0) - (wasScheduled ? 1 : 0) + children.length
+      },
+      preferences
+    };
+  }
+
+  /**
+   * An empty day kept free for recovery
+   * @private
+   */
+  createRestDay(startDate, dayOffset) {
+    return {
+      day: dayOffset + 1,
+      date: this.calculateDate(startDate, dayOffset),
+      tasks: [],
+      totalHours: 0,
+      timeOfDay: 'rest',
+      restDay: true
+    };
+  }
+
   /**
    * Calculate date from start date and day offset
    * @private
@@ -351,13 +512,25 @@ Respond ONLY with valid JSON:
     const maxHoursPerDay = preferences?.availableHoursPerDay || 4;
 
     const overloadedDays = schedule.filter(day => day.totalHours > maxHoursPerDay);
-    const avgLoad = parseFloat(summary.averageHoursPerDay);
+    // Days scheduled after the parsed deadline (ISO dates compare as strings)
+    const deadline = preferences?.deadlineDate || null;
+    const lastDate = schedule[schedule.length - 1]?.date;
+    const daysPastDeadline = deadline && lastDate > deadline
+      ? schedule.filter(day => day.date > deadline).length
+      : 0;
+    // Hand-edited schedules may lack the average
+    const avgLoad = parseFloat(summary.averageHoursPerDay) ||
+      (schedule.length > 0 ? summary.totalHours / schedule.length : 0);
     
     return {
-      isFeasible: overloadedDays.length === 0,
+      isFeasible: overloadedDays.length === 0 && daysPastDeadline === 0,
       overloadedDays: overloadedDays.length,
+      deadline,
+      daysPastDeadline,
       loadPercentage: ((avgLoad / maxHoursPerDay) * 100).toFixed(0) + '%',
-      recommendation: overloadedDays.length > 0 
+      recommendation: daysPastDeadline > 0
+        ? `Schedule runs ${daysPastDeadline} day(s) past the deadline; add study hours or reduce scope`
+        : overloadedDays.length > 0 
         ? 'Consider extending deadline or reducing scope'
         : avgLoad > maxHoursPerDay * 0.8
         ? 'Schedule is tight but achievable'
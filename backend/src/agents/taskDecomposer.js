@@ -1,29 +1,141 @@
-import { callHuggingFace } from '../config/huggingface.js';
+import { LLMUnavailableError } from '../llm/resilience.js';
+import { generateStructured, StructuredOutputError } from '../llm/structuredOutput.js';
+import { fenceUserContent, INPUT_LIMITS, InputGuard } from '../prompts/guard.js';
+import { renderPrompt } from '../prompts/registry.js';
+import { fillDecompositionTemplate, findDecompositionTemplate } from '../prompts/templateLibrary.js';
+import { pruneDependencies, resolveLeafDependencies } from '../utils/taskGraph.js';
+import { getLeafTasks, RESOURCE_TYPES, rollUpTasks } from '../utils/taskTree.js';
+import { getGoalType } from './goalTypes.js';
+
+const taskSchema = {
+  type: 'object',
+  properties: {
+    id: { type: ['string', 'number'] },
+    description: { type: 'string' },
+    estimatedHours: { type: ['number', 'string'] },
+    priority: { type: 'string' },
+    order: { type: ['number', 'string'] },
+    milestone: { type: 'boolean' },
+    dependsOn: { type: 'array' },
+    acceptanceCriteria: { type: 'array' },
+    deliverables: { type: 'array' },
+    resources: { type: 'array' }
+  },
+  required: ['description', 'estimatedHours'],
+  additionalProperties: false
+};
+
+const milestoneSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    tasks: { type: 'array', minItems: 1, items: taskSchema }
+  },
+  required: ['title', 'tasks'],
+  additionalProperties: false
+};
+
+// Expected shape of the model's answer: milestones, or (older prompts) a flat task list
+export const taskListSchema = {
+  type: 'array',
+  minItems: 1,
+  items: { anyOf: [milestoneSchema, taskSchema] }
+};
+
+export const subtaskListSchema = {
+  type: 'array',
+  minItems: 2,
+  items: {
+    type: 'object',
+    properties: {
+      description: { type: 'string' },
+      estimatedHours: { type: ['number', 'string'] },
+      acceptanceCriteria: { type: 'array' },
+      deliverables: { type: 'array' },
+      resources: { type: 'array' }
+    },
+    required: ['description', 'estimatedHours'],
+    additionalProperties: false
+  }
+};
 
 /**
  * Task Decomposition Agent
- * Breaks down analyzed goals into concrete, actionable tasks
+ * Breaks down analyzed goals into milestones, tasks and subtasks.
+ * Returns one flat list in depth-first order; every entry has a `level`,
+ * the `parentId` of the entry it belongs to and the ids it `dependsOn`
+ * (for leaves: every leaf that must be finished first). Tasks also carry
+ * their definition of done: acceptance criteria, deliverables and
+ * suggested resources.
  */
 export class TaskDecomposerAgent {
   constructor() {
     this.name = "Task Decomposer";
+    this.lastOutputSource = null;
+    this.lastPrompt = null;
+    this.lastInputFlags = [];
+    this.lastError = null;
   }
 
   /**
-   * Decompose a goal into specific tasks
+   * Decompose a goal into milestones, tasks and subtasks
    * @param {Object} analyzedGoal - The analyzed goal object from GoalAnalyzerAgent
+   * @param {Object} llmOptions - Extra LLM call options (bypassCache, onCall)
+   * @param {Object} splitOptions - Recursive splitting; off unless splitAboveHours is set
+   * @param {number} splitOptions.splitAboveHours - Tasks estimated above this are split into subtasks
+   * @param {number} splitOptions.maxDepth - Levels of subtasks below a task
    * @returns {Promise<Array>} Array of task objects
    */
-  async decompose(analyzedGoal) {
+  async decompose(analyzedGoal, llmOptions = {}, { splitAboveHours, maxDepth = 2 } = {}) {
+    this.lastError = null;
+    const tasks = await this.generateTasks(analyzedGoal, llmOptions);
+    if (!splitAboveHours) return resolveLeafDependencies(tasks);
+
+    // One split call at a time keeps a large plan from bursting the provider
+    const leaves = new Set(getLeafTasks(tasks));
+    const expanded = [];
+    for (const task of tasks) {
+      expanded.push(...(leaves.has(task)
+        ? await this.expandTask(task, analyzedGoal, llmOptions, { splitAboveHours, maxDepth })
+        : [task]));
+    }
+    return resolveLeafDependencies(rollUpTasks(expanded.map((task, index) => ({ ...task, order: index + 1 }))));
+  }
+
+  /**
+   * Ask the model for milestones and tasks
+   * @private
+   */
+  async generateTasks(analyzedGoal, llmOptions) {
     try {
       const prompt = this.buildPrompt(analyzedGoal);
-      const response = await callHuggingFace(prompt, {
-        maxTokens: 1000,
+      const result = await generateStructured(prompt, taskListSchema, {
+        ...llmOptions,
+        agent: 'taskDecomposer',
+        maxTokens: 1500,
         maxRetries: 3
       });
 
-      return this.parseResponse(response, analyzedGoal);
+      this.lastOutputSource = result.source;
+      return this.parseResponse(result.data, analyzedGoal);
     } catch (error) {
+      if (error instanceof LLMUnavailableError) {
+        console.warn(`${this.name}: ${error.message}, using fallback tasks`);
+        this.lastOutputSource = 'fallback';
+        this.lastError = error.message;
+        return this.createFallbackTasks(analyzedGoal);
+      }
+
+      if (error instanceof StructuredOutputError) {
+        console.error('Failed to parse task decomposition:', error.errors);
+        console.log('Raw response:', error.raw);
+
+        // Return fallback tasks
+        this.lastOutputSource = 'fallback';
+        this.lastError = error.errors.join('; ');
+        return this.createFallbackTasks(analyzedGoal);
+      }
+
       console.error('Task decomposition failed:', error);
       throw new Error(`Failed to decompose tasks: ${error.message}`);
     }
@@ -34,87 +146,346 @@ export class TaskDecomposerAgent {
    * @private
    */
   buildPrompt(analyzedGoal) {
-    const { originalGoal, parsedDeadline, complexity, subject } = analyzedGoal;
+    const { originalGoal, parsedDeadline, complexity, subject, goalType = 'general' } = analyzedGoal;
+    const type = getGoalType(goalType);
 
-    return `Break down this goal into specific, actionable tasks with time estimates.
+    const guard = new InputGuard();
+    const cleanSubject = guard.clean(subject, 'subject');
+    const rendered = renderPrompt('taskDecomposer.decompose', {
+      originalGoal: guard.fence(originalGoal, 'goal'),
+      subject: cleanSubject,
+      complexity: guard.clean(complexity, 'complexity'),
+      parsedDeadline: guard.clean(parsedDeadline, 'deadline'),
+      goalType: type.label,
+      typeRules: type.decomposition,
+      maxTaskHours: type.maxTaskHours,
+      resourceTypes: RESOURCE_TYPES.join(', '),
+      examples: this.buildExample(analyzedGoal, cleanSubject)
+    });
+    this.lastPrompt = { name: rendered.name, version: rendered.version, source: rendered.source };
+    this.lastInputFlags = guard.getFlags();
+    return rendered.text;
+  }
 
-Goal: "${originalGoal}"
-Subject: ${subject}
-Complexity: ${complexity}
-Deadline: ${parsedDeadline}
+  /**
+   * A matching library template as a worked example for the prompt,
+   * or an empty string when none matches or it is not meant as an example
+   * @private
+   */
+  buildExample(analyzedGoal, subject) {
+    const template = findDecompositionTemplate(analyzedGoal);
+    if (!template?.useAsExample) return '';
+    const example = JSON.stringify(fillDecompositionTemplate(template, subject));
+    return `\nExample breakdown for a similar goal (${template.name}); adapt it to this goal rather than copying it:\n${example}\n`;
+  }
 
-Provide a JSON array of tasks. Each task should have:
-- description: clear, actionable task description
-- estimatedHours: realistic time estimate in hours (as a number)
-- priority: "high", "medium", or "low"
-- order: sequence number (1, 2, 3, etc.)
+  /**
+   * Map validated AI output to a flat list of milestones and tasks
+   * @private
+   */
+  parseResponse(items, analyzedGoal) {
+    const type = getGoalType(analyzedGoal.goalType);
+    const stamp = Date.now();
+    const nodes = [];
+    // The model links tasks by its own keys; those become node ids below
+    const keys = new Map();
+    const links = [];
+    const addNode = (fields) => {
+      const node = {
+        id: `task_${stamp}_${nodes.length}`,
+        dependsOn: [],
+        acceptanceCriteria: [],
+        deliverables: [],
+        resources: [],
+        ...fields,
+        order: nodes.length + 1,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        goalReference: analyzedGoal.originalGoal
+      };
+      nodes.push(node);
+      return node;
+    };
+    const addTasks = (tasks, parentId) => this.sortByOrder(tasks).forEach((task, index) => {
+      const node = addNode({
+        level: 'task',
+        parentId,
+        description: task.description || `Task ${index + 1}`,
+        estimatedHours: this.validateHours(task.estimatedHours, type.maxTaskHours),
+        priority: this.validatePriority(task.priority),
+        ...this.parseTaskDetails(task),
+        // Only goal types that plan in deliverables have milestones
+        ...(type.milestones && { milestone: task.milestone === true })
+      });
+      if (task.id !== undefined) keys.set(String(task.id), node.id);
+      links.push([node, task.dependsOn || []]);
+    });
+
+    items.forEach((item, index) => {
+      if (!Array.isArray(item.tasks)) {
+        addTasks([item], null);
+        return;
+      }
+      const milestone = addNode({
+        level: 'milestone',
+        parentId: null,
+        description: item.title || `Milestone ${index + 1}`,
+        estimatedHours: 0,
+        priority: this.highestPriority(item.tasks.map(task => this.validatePriority(task.priority)))
+      });
+      addTasks(item.tasks, milestone.id);
+    });
 
-Requirements:
-- Create 3-10 tasks depending on complexity
-- Make tasks specific and actionable
-- Include time estimates that are realistic
-- Order tasks logically
-- Tasks should be completable steps
+    links.forEach(([node, refs]) => {
+      node.dependsOn = refs.map(ref => keys.get(String(ref))).filter(Boolean);
+    });
+    return rollUpTasks(pruneDependencies(nodes));
+  }
+
+  /**
+   * A task's definition of done: acceptance criteria as an unchecked
+   * checklist, deliverables and suggested resources of known types
+   * @private
+   */
+  parseTaskDetails(task) {
+    const resources = (Array.isArray(task.resources) ? task.resources : [])
+      .map(resource => (typeof resource === 'string' ? { type: resource } : resource))
+      .filter(resource => typeof resource?.type === 'string' && RESOURCE_TYPES.includes(resource.type.trim().toLowerCase()))
+      .slice(0, 4)
+      .map(resource => ({
+        type: resource.type.trim().toLowerCase(),
+        suggestion: typeof resource.suggestion === 'string' ? resource.suggestion.trim() : ''
+      }));
+
+    return {
+      acceptanceCriteria: this.cleanList(task.acceptanceCriteria, 5).map(text => ({ text, done: false })),
+      deliverables: this.cleanList(task.deliverables, 3),
+      resources
+    };
+  }
 
-Respond ONLY with valid JSON array, no other text:
+  /**
+   * Non-empty strings of a model-supplied list, at most `max`
+   * @private
+   */
+  cleanList(values, max) {
+    return (Array.isArray(values) ? values : [])
+      .filter(value => typeof value === 'string' && value.trim())
+      .map(value => value.trim())
+      .slice(0, max);
+  }
 
-[
-  {
-    "description": "task description",
-    "estimatedHours": 2,
-    "priority": "high",
-    "order": 1
+  /**
+   * Sort sibling entries by the model's order, keeping list order for ties
+   * @private
+   */
+  sortByOrder(items) {
+    return items
+      .map((item, index) => ({ item, rank: parseFloat(item.order) || index + 1 }))
+      .sort((a, b) => a.rank - b.rank)
+      .map(({ item }) => item);
   }
-]`;
+
+  /**
+   * @private
+   */
+  highestPriority(priorities) {
+    return ['high', 'medium', 'low'].find(priority => priorities.includes(priority)) || 'medium';
   }
 
   /**
-   * Parse the AI response into task array
+   * Split a task above the threshold into subtasks, and those again until
+   * maxDepth levels of subtasks exist
    * @private
+   * @returns {Promise<Array>} The task followed by all its descendants, depth-first
    */
-  parseResponse(response, analyzedGoal) {
+  async expandTask(task, analyzedGoal, llmOptions, { splitAboveHours, maxDepth }, depth = 0) {
+    if (depth >= maxDepth || task.estimatedHours <= splitAboveHours) return [task];
+
+    const subtasks = await this.splitTask(task, analyzedGoal, llmOptions, splitAboveHours);
+    const expanded = [task];
+    for (const subtask of subtasks) {
+      expanded.push(...await this.expandTask(subtask, analyzedGoal, llmOptions, { splitAboveHours, maxDepth }, depth + 1));
+    }
+    return expanded;
+  }
+
+  /**
+   * Split one task into subtasks of at most maxHours
+   * @param {Object} task - Task to split
+   * @param {Object} analyzedGoal - The analyzed goal the task belongs to
+   * @param {Object} llmOptions - Extra LLM call options (bypassCache, onCall)
+   * @param {number} maxHours - Target size of a subtask
+   * @returns {Promise<Array>} Subtasks with level 'subtask' and parentId task.id
+   */
+  async splitTask(task, analyzedGoal, llmOptions = {}, maxHours = 8) {
     try {
-      // Clean the response
-      let cleanedResponse = response.trim();
-      cleanedResponse = cleanedResponse.replace(/```json\n?/g, '');
-      cleanedResponse = cleanedResponse.replace(/```\n?/g, '');
-      cleanedResponse = cleanedResponse.trim();
-
-      // Parse JSON
-      const tasks = JSON.parse(cleanedResponse);
-
-      // Validate and enhance tasks
-      if (!Array.isArray(tasks)) {
-        throw new Error('Response is not an array');
+      const prompt = this.buildSplitPrompt(task, analyzedGoal, maxHours);
+      const result = await generateStructured(prompt, subtaskListSchema, {
+        ...llmOptions,
+        agent: 'taskDecomposer',
+        maxTokens: 600,
+        maxRetries: 2
+      });
+      return this.parseSubtasks(result.data, task, analyzedGoal);
+    } catch (error) {
+      if (error instanceof LLMUnavailableError || error instanceof StructuredOutputError) {
+        console.warn(`${this.name}: could not split "${task.description}", splitting evenly`);
+        return this.createFallbackSubtasks(task, maxHours);
       }
 
-      return tasks.map((task, index) => ({
-        id: `task_${Date.now()}_${index}`,
-        description: task.description || `Task ${index + 1}`,
-        estimatedHours: this.validateHours(task.estimatedHours),
-        priority: this.validatePriority(task.priority),
-        order: task.order || index + 1,
-        status: 'pending',
-        createdAt: new Date().toISOString(),
-        goalReference: analyzedGoal.originalGoal
-      }));
+      console.error('Task split failed:', error);
+      throw new Error(`Failed to split task: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the prompt for splitting one task. Flags add to those of the
+   * decomposition prompt; lastPrompt keeps naming the decomposition prompt.
+   * @private
+   */
+  buildSplitPrompt(task, analyzedGoal, maxHours) {
+    const guard = new InputGuard();
+    const rendered = renderPrompt('taskDecomposer.split', {
+      originalGoal: guard.fence(analyzedGoal.originalGoal, 'goal'),
+      task: guard.clean(task.description, 'task', INPUT_LIMITS.task),
+      estimatedHours: task.estimatedHours,
+      maxHours,
+      resourceTypes: RESOURCE_TYPES.join(', ')
+    });
+    this.lastInputFlags = [...new Set([...this.lastInputFlags, ...guard.getFlags()])];
+    return rendered.text;
+  }
+
+  /**
+   * Break one task of a stored plan down again, e.g. because it turned out
+   * too big or unclear. The children take over the task's work: each one
+   * inherits the task's own prerequisites, and the list gives their order.
+   * @param {Object} task - Task to break down ({ id, description, estimatedHours, priority, dependsOn })
+   * @param {Object} analyzedGoal - The goal the task belongs to
+   * @param {Array} siblings - Tasks next to it in the plan, so the children don't repeat them
+   * @param {Object} llmOptions - Extra LLM call options (bypassCache, onCall)
+   * @param {Object} options - { note: why the task needs breaking down, maxHours: largest child estimate }
+   * @returns {Promise<Array>} Child tasks with level 'subtask' and parentId task.id
+   */
+  async redecompose(task, analyzedGoal, siblings = [], llmOptions = {}, { note, maxHours = 8 } = {}) {
+    this.lastError = null;
+    // A child has to be smaller than the task it replaces
+    const childHours = Math.max(0.5, Math.min(maxHours, task.estimatedHours / 2));
+
+    let children;
+    try {
+      const prompt = this.buildRedecomposePrompt(task, analyzedGoal, siblings, note, childHours);
+      const result = await generateStructured(prompt, subtaskListSchema, {
+        ...llmOptions,
+        agent: 'taskDecomposer',
+        maxTokens: 800,
+        maxRetries: 2
+      });
+
+      this.lastOutputSource = result.source;
+      children = this.parseSubtasks(result.data, task, analyzedGoal);
     } catch (error) {
-      console.error('Failed to parse task decomposition:', error);
-      console.log('Raw response:', response);
-      
-      // Return fallback tasks
-      return this.createFallbackTasks(analyzedGoal);
+      if (!(error instanceof LLMUnavailableError || error instanceof StructuredOutputError)) {
+        console.error('Task re-decomposition failed:', error);
+        throw new Error(`Failed to re-decompose task: ${error.message}`);
+      }
+
+      console.warn(`${this.name}: could not re-decompose "${task.description}", splitting evenly`);
+      this.lastOutputSource = 'fallback';
+      this.lastError = error.errors?.join('; ') || error.message;
+      children = this.createFallbackSubtasks(task, childHours);
     }
+
+    const prerequisites = (task.dependsOn || []).map(String);
+    return children.map(child => ({ ...child, dependsOn: [...prerequisites] }));
+  }
+
+  /**
+   * Build the prompt for re-decomposing one stored task
+   * @private
+   */
+  buildRedecomposePrompt(task, analyzedGoal, siblings, note, maxHours) {
+    const guard = new InputGuard();
+    const siblingList = siblings
+      .map(sibling => `- ${guard.clean(sibling.description, 'task', INPUT_LIMITS.task)} (${sibling.estimatedHours}h)`)
+      .join('\n');
+
+    const rendered = renderPrompt('taskDecomposer.redecompose', {
+      originalGoal: guard.fence(analyzedGoal.originalGoal, 'goal'),
+      subject: guard.clean(analyzedGoal.subject, 'subject'),
+      goalType: getGoalType(analyzedGoal.goalType).label,
+      task: guard.clean(task.description, 'task', INPUT_LIMITS.task),
+      estimatedHours: task.estimatedHours,
+      note: note ? guard.fence(note, 'note', INPUT_LIMITS.task) : 'not given',
+      siblings: siblingList ? fenceUserContent(siblingList, 'tasks') : '(none)',
+      maxHours,
+      resourceTypes: RESOURCE_TYPES.join(', ')
+    });
+    this.lastPrompt = { name: rendered.name, version: rendered.version, source: rendered.source };
+    this.lastInputFlags = guard.getFlags();
+    return rendered.text;
+  }
+
+  /**
+   * Map validated subtasks; they inherit the parent's priority, and the last
+   * one carries the parent's deliverable flag
+   * @private
+   */
+  parseSubtasks(subtasks, task, analyzedGoal) {
+    const type = getGoalType(analyzedGoal.goalType);
+    return subtasks.map((subtask, index) => this.createSubtask(task, index, subtasks.length, {
+      description: subtask.description || `${task.description} (part ${index + 1})`,
+      estimatedHours: this.validateHours(subtask.estimatedHours, type.maxTaskHours),
+      ...this.parseTaskDetails(subtask)
+    }));
+  }
+
+  /**
+   * Even split used when the model can't split a task
+   * @private
+   */
+  createFallbackSubtasks(task, maxHours) {
+    const parts = Math.max(2, Math.ceil(task.estimatedHours / maxHours));
+    const hours = Math.max(0.5, Math.round((task.estimatedHours / parts) * 2) / 2);
+    return Array.from({ length: parts }, (_, i) => this.createSubtask(task, i, parts, {
+      description: `Part ${i + 1} of ${parts}: ${task.description}`,
+      estimatedHours: hours,
+      note: 'Auto-generated fallback subtask'
+    }));
+  }
+
+  /**
+   * @private
+   */
+  createSubtask(task, index, count, fields) {
+    return {
+      id: `${task.id}_${index + 1}`,
+      level: 'subtask',
+      parentId: task.id,
+      acceptanceCriteria: [],
+      deliverables: [],
+      resources: [],
+      ...fields,
+      priority: task.priority,
+      order: task.order,
+      // Subtasks are done in sequence; the parent's own links apply to all of them
+      dependsOn: index > 0 ? [`${task.id}_${index}`] : [],
+      ...(task.milestone !== undefined && { milestone: task.milestone === true && index === count - 1 }),
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      goalReference: task.goalReference
+    };
   }
 
   /**
    * Validate estimated hours
    * @private
    */
-  validateHours(hours) {
+  validateHours(hours, maxHours = 40) {
     const num = parseFloat(hours);
-    if (isNaN(num) || num <= 0) return 2; // default 2 hours
-    if (num > 40) return 40; // cap at 40 hours
+    if (isNaN(num) || num <= 0) return Math.min(2, maxHours); // default 2 hours
+    if (num > maxHours) return maxHours; // cap per goal type (40 hours at most)
     return Math.round(num * 2) / 2; // round to nearest 0.5
   }
 
@@ -129,23 +500,43 @@ Respond ONLY with valid JSON array, no other text:
   }
 
   /**
-   * Create fallback tasks if parsing fails
+   * Create fallback tasks if parsing fails: from a matching library
+   * template, else generic steps for the goal type
    * @private
    */
   createFallbackTasks(analyzedGoal) {
+    const template = findDecompositionTemplate(analyzedGoal);
+    if (template) {
+      return this.parseResponse(fillDecompositionTemplate(template, analyzedGoal.subject), analyzedGoal)
+        .map(task => ({ ...task, progress: 0, note: `Built from the "${template.name}" template` }));
+    }
+
     const { originalGoal, complexity } = analyzedGoal;
+    const type = getGoalType(analyzedGoal.goalType);
     
     // Generate basic tasks based on complexity
     const taskCount = complexity === 'high' ? 5 : complexity === 'medium' ? 4 : 3;
     const baseHours = complexity === 'high' ? 3 : complexity === 'medium' ? 2 : 1.5;
+    // Typed goals follow their own steps; the last step always closes the goal
+    const steps = type.fallbackSteps.length > 0
+      ? [...type.fallbackSteps.slice(0, taskCount - 1), type.fallbackSteps[type.fallbackSteps.length - 1]]
+      : [];
 
     return Array.from({ length: taskCount }, (_, i) => ({
       id: `task_${Date.now()}_${i}`,
-      description: `Step ${i + 1}: Work on ${originalGoal}`,
-      estimatedHours: baseHours + (i * 0.5),
+      level: 'task',
+      parentId: null,
+      dependsOn: [],
+      acceptanceCriteria: [],
+      deliverables: [],
+      resources: [],
+      description: steps[i] ? `Step ${i + 1}: ${steps[i]} (${originalGoal})` : `Step ${i + 1}: Work on ${originalGoal}`,
+      estimatedHours: Math.min(baseHours + (i * 0.5), type.maxTaskHours),
       priority: i < 2 ? 'high' : 'medium',
       order: i + 1,
+      ...(type.milestones && { milestone: steps[i]?.startsWith('Deliverable:') === true }),
       status: 'pending',
+      progress: 0,
       createdAt: new Date().toISOString(),
       goalReference: originalGoal,
       note: 'Auto-generated fallback task'
@@ -155,10 +546,10 @@ Respond ONLY with valid JSON array, no other text:
   /**
    * Calculate total time for all tasks
    * @param {Array} tasks - Array of task objects
-   * @returns {number} Total hours
+   * @returns {number} Total hours (parents' estimates are sums of their leaves)
    */
   calculateTotalTime(tasks) {
-    return tasks.reduce((sum, task) => sum + task.estimatedHours, 0);
+    return getLeafTasks(tasks).reduce((sum, task) => sum + task.estimatedHours, 0);
   }
 
   /**
@@ -173,12 +564,18 @@ Respond ONLY with valid JSON array, no other text:
 📋 Task Breakdown
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-Total Tasks: ${tasks.length}
+Total Tasks: ${getLeafTasks(tasks).length}
 Total Estimated Time: ${totalHours} hours
 
 Tasks:
 `;
 
+    // Children follow their parent in the list, so depths resolve in one pass
+    const depths = new Map();
+    tasks.forEach((task) => {
+      if (task.parentId) depths.set(task.id, (depths.get(task.parentId) || 0) + 1);
+    });
+
     tasks.forEach((task) => {
       const priorityIcon = {
         high: '🔴',
@@ -186,12 +583,16 @@ Tasks:
         low: '🟢'
       }[task.priority];
 
+      const indent = '   '.repeat(depths.get(task.id) || 0);
       output += `
-${task.order}. ${task.description}
-   ${priorityIcon} Priority: ${task.priority.toUpperCase()}
-   ⏱️  Estimated: ${task.estimatedHours} hours
-   Status: ${task.status}
+${indent}${task.order}. ${task.level === 'milestone' ? '🏁 ' : ''}${task.description}
+${indent}   ${priorityIcon} Priority: ${task.priority.toUpperCase()}
+${indent}   ⏱️  Estimated: ${task.estimatedHours} hours
+${indent}   Status: ${task.status}
 `;
+      (task.acceptanceCriteria || []).forEach((criterion) => {
+        output += `${indent}   ${criterion.done ? '☑' : '☐'} ${criterion.text}\n`;
+      });
     });
 
     return output.trim();
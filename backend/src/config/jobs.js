@@ -0,0 +1,13 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// Background plan-generation worker
+export const jobConfig = {
+  concurrency: parseInt(process.env.PLAN_JOB_CONCURRENCY) || 2,
+  pollIntervalMs: parseInt(process.env.PLAN_JOB_POLL_MS) || 2000,
+  // A running job without a heartbeat for this long is treated as orphaned by a restart
+  staleAfterMs: parseInt(process.env.PLAN_JOB_STALE_MS) || 10 * 60 * 1000,
+  maxAttempts: parseInt(process.env.PLAN_JOB_MAX_ATTEMPTS) || 3,
+};
+
+export default jobConfig;
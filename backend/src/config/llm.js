@@ -0,0 +1,105 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Parse a provider chain such as "huggingface:meta-llama/Llama-3.2-3B-Instruct,gemini"
+ * into an ordered list of { provider, model } entries. Only the first ":" separates
+ * provider from model, so local model tags like "llama3.1:8b" survive.
+ * @param {string} value - Comma separated chain
+ * @returns {Array|null} Chain entries, or null when value is empty
+ */
+export const parseChain = (value) => {
+  if (!value || !value.trim()) return null;
+
+  return value.split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(":");
+      return separator === -1
+        ? { provider: entry }
+        : { provider: entry.slice(0, separator), model: entry.slice(separator + 1) };
+    });
+};
+
+// Provider credentials and default models
+export const providers = {
+  huggingface: {
+    apiKey: process.env.HUGGINGFACE_API_KEY,
+    defaultModel: process.env.HUGGINGFACE_MODEL || "meta-llama/Llama-3.2-3B-Instruct",
+  },
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY,
+    defaultModel: process.env.GEMINI_MODEL || "gemini-1.5-flash",
+  },
+  // Any server speaking the OpenAI chat completions API (Ollama, llama.cpp, vLLM...)
+  local: {
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1",
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    defaultModel: process.env.LOCAL_LLM_MODEL || "llama3.1",
+  },
+  // Offline runs: LLM_MODE=record|replay|scripted (default: live)
+  replay: {
+    mode: process.env.LLM_MODE || "live",
+    fixturesDir: process.env.LLM_FIXTURES_DIR || path.join(__dirname, "../../fixtures/llm"),
+  },
+};
+
+// Response cache: LLM_CACHE=memory|mongo|off
+export const cacheConfig = {
+  backend: process.env.LLM_CACHE || "memory",
+  ttlSeconds: parseInt(process.env.LLM_CACHE_TTL_SECONDS) || 86400,
+  maxEntries: parseInt(process.env.LLM_CACHE_MAX_ENTRIES) || 500,
+};
+
+// Price per 1K tokens keyed by "provider:model" or "provider",
+// e.g. LLM_PRICING={"gemini":{"prompt":0.000075,"completion":0.0003}}
+export const pricing = (() => {
+  try {
+    return JSON.parse(process.env.LLM_PRICING || "{}");
+  } catch (error) {
+    console.warn("Ignoring invalid LLM_PRICING:", error.message);
+    return {};
+  }
+})();
+
+// Per-user token allowance per calendar month (0 = unlimited)
+export const usageConfig = {
+  monthlyTokenQuota: parseInt(process.env.USAGE_MONTHLY_TOKEN_QUOTA) || 0,
+};
+
+// Circuit breaker (per provider/model) and global concurrency limiter
+export const resilienceConfig = {
+  failureThreshold: parseInt(process.env.LLM_BREAKER_FAILURE_THRESHOLD) || 5,
+  resetTimeoutMs: parseInt(process.env.LLM_BREAKER_RESET_MS) || 30000,
+  maxConcurrent: parseInt(process.env.LLM_MAX_CONCURRENT) || 4,
+  maxQueue: parseInt(process.env.LLM_MAX_QUEUE) || 20,
+  queueTimeoutMs: parseInt(process.env.LLM_QUEUE_TIMEOUT_MS) || 30000,
+};
+
+// Ordered fallback chain used by every agent without its own override
+export const defaultChain = parseChain(process.env.LLM_CHAIN) || [{ provider: "huggingface" }];
+
+// Per-agent chains, e.g. LLM_CHAIN_SCHEDULER=local:qwen2.5:7b,huggingface
+export const agentChains = {
+  goalAnalyzer: parseChain(process.env.LLM_CHAIN_GOAL_ANALYZER),
+  taskDecomposer: parseChain(process.env.LLM_CHAIN_TASK_DECOMPOSER),
+  priorityScorer: parseChain(process.env.LLM_CHAIN_PRIORITY_SCORER),
+  scheduler: parseChain(process.env.LLM_CHAIN_SCHEDULER),
+  reflector: parseChain(process.env.LLM_CHAIN_REFLECTOR),
+};
+
+/**
+ * Resolve the provider chain for an agent
+ * @param {string} agent - Agent key (goalAnalyzer, taskDecomposer, ...)
+ * @returns {Array} Ordered { provider, model } entries
+ */
+export const getChainForAgent = (agent) => {
+  return (agent && agentChains[agent]) || defaultChain;
+};
+
+export default { providers, cacheConfig, pricing, usageConfig, resilienceConfig, defaultChain, agentChains, getChainForAgent, parseChain };
@@ -0,0 +1,9 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// Plan pipeline used when a request does not name one (see src/pipeline/stages.js)
+export const pipelineConfig = {
+  defaultPipeline: process.env.PLAN_PIPELINE || "standard",
+};
+
+export default pipelineConfig;
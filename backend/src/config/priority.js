@@ -0,0 +1,36 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+const defaultWeights = { urgency: 3, importance: 3, dependencies: 2, criticalPath: 1, effort: 1, tendency: 1 };
+
+const parseShare = (value, fallback) => {
+  const share = parseFloat(value);
+  return Number.isFinite(share) ? Math.min(1, Math.max(0, share)) : fallback;
+};
+
+// Priority model (see src/utils/priorityModel.js)
+export const priorityConfig = {
+  // Relative weight per factor; unnamed factors keep their default,
+  // e.g. PRIORITY_WEIGHTS={"urgency":4,"effort":0}
+  weights: (() => {
+    try {
+      const overrides = JSON.parse(process.env.PRIORITY_WEIGHTS || "{}");
+      const weights = { ...defaultWeights };
+      Object.keys(defaultWeights)
+        .filter((factor) => typeof overrides[factor] === "number" && overrides[factor] >= 0)
+        .forEach((factor) => { weights[factor] = overrides[factor]; });
+      return weights;
+    } catch (error) {
+      console.warn("Ignoring invalid PRIORITY_WEIGHTS:", error.message);
+      return { ...defaultWeights };
+    }
+  })(),
+  // Share of the final score taken from the AI score: 0 uses the model only, 1 the AI only
+  llmWeight: parseShare(process.env.PRIORITY_LLM_WEIGHT, 0.5),
+  // A deadline this many days away (or further) adds no urgency
+  urgencyHorizonDays: parseInt(process.env.PRIORITY_URGENCY_HORIZON_DAYS) || 30,
+  // Tasks this long (or longer) get no quick-win bonus
+  effortCapHours: parseFloat(process.env.PRIORITY_EFFORT_CAP_HOURS) || 8,
+};
+
+export default priorityConfig;
@@ -0,0 +1,19 @@
+import dotenv from "dotenv";
+dotenv.config();
+
+// Recursive task decomposition (see src/agents/taskDecomposer.js)
+export const taskConfig = {
+  // Tasks estimated above this many hours are split into subtasks
+  splitAboveHours: parseFloat(process.env.TASK_SPLIT_HOURS) || 8,
+  // How many levels of subtasks a task may be split into
+  maxSplitDepth: parseInt(process.env.TASK_SPLIT_DEPTH) || 2,
+  // Rescaling estimates from logged time (see src/utils/estimateCalibration.js)
+  calibration: {
+    // Completed tasks with logged time needed before estimates are rescaled
+    minSamples: parseInt(process.env.CALIBRATION_MIN_SAMPLES) || 3,
+    // Largest correction either way: 3 keeps estimates between a third and three times the model's
+    maxFactor: parseFloat(process.env.CALIBRATION_MAX_FACTOR) || 3,
+  },
+};
+
+export default taskConfig;
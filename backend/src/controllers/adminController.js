@@ -0,0 +1,171 @@
+import DecompositionTemplate from '../models/DecompositionTemplate.js';
+import {
+    getDecompositionTemplate,
+    listDecompositionTemplates,
+    registerDecompositionTemplate,
+    resetDecompositionTemplate,
+    validateDecompositionTemplate
+} from '../prompts/templateLibrary.js';
+import { getTraceView, listTraces } from '../services/traceService.js';
+
+// Fields an admin may set on a decomposition template
+const pickTemplateFields = (body = {}) => {
+    const fields = ['name', 'description', 'goalTypes', 'keywords', 'milestones', 'useAsExample', 'isActive'];
+    return Object.fromEntries(fields.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+};
+
+// List orchestration traces, filtered by user, goal, agent and fallback use
+export async function getTraces(req, res) {
+    try {
+        const { userId, goalId, agent, fallback, kind, status, page, limit } = req.query;
+
+        const result = await listTraces({
+            userId,
+            goalId,
+            agent,
+            fallback: fallback === undefined ? undefined : fallback === 'true',
+            kind,
+            status,
+            page,
+            limit
+        });
+
+        res.status(200).json(result);
+
+    } catch (error) {
+        console.error("Error in getTraces controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// Get one trace with its execution log rendered as text (?format=text for plain text)
+export async function getTrace(req, res) {
+    try {
+        const { id } = req.params; // traceId
+
+        const view = await getTraceView(id);
+        if (!view) {
+            return res.status(404).json({ message: "Trace not found" });
+        }
+
+        if (req.query.format === 'text') {
+            return res.status(200).type('text/plain').send(view.formatted);
+        }
+
+        res.status(200).json(view);
+
+    } catch (error) {
+        console.error("Error in getTrace controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// List decomposition templates, built-in and stored
+export async function getTemplates(req, res) {
+    try {
+        res.status(200).json({ templates: listDecompositionTemplates() });
+
+    } catch (error) {
+        console.error("Error in getTemplates controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// Get one decomposition template
+export async function getTemplate(req, res) {
+    try {
+        const template = getDecompositionTemplate(req.params.key);
+        if (!template) {
+            return res.status(404).json({ message: "Template not found" });
+        }
+
+        res.status(200).json({ template });
+
+    } catch (error) {
+        console.error("Error in getTemplate controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// Add a decomposition template under a new key
+export async function createTemplate(req, res) {
+    try {
+        const fields = { ...pickTemplateFields(req.body), key: req.body?.key };
+
+        const errors = validateDecompositionTemplate(fields);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Invalid template", errors });
+        }
+        if (getDecompositionTemplate(fields.key)) {
+            return res.status(409).json({ message: "A template with this key already exists" });
+        }
+
+        await DecompositionTemplate.create(fields);
+        registerDecompositionTemplate(fields, 'database');
+
+        res.status(201).json({
+            message: "Template created successfully",
+            template: getDecompositionTemplate(fields.key)
+        });
+
+    } catch (error) {
+        console.error("Error in createTemplate controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// Edit a template; fields not sent keep their current value. Editing a
+// built-in stores an override that replaces it until deleted.
+export async function updateTemplate(req, res) {
+    try {
+        const { key } = req.params;
+
+        const current = getDecompositionTemplate(key);
+        if (!current) {
+            return res.status(404).json({ message: "Template not found" });
+        }
+
+        const { source, ...currentFields } = current;
+        const fields = { ...currentFields, ...pickTemplateFields(req.body), key };
+
+        const errors = validateDecompositionTemplate(fields);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Invalid template", errors });
+        }
+
+        await DecompositionTemplate.findOneAndUpdate({ key }, fields, { upsert: true, runValidators: true });
+        registerDecompositionTemplate(fields, 'database');
+
+        res.status(200).json({
+            message: "Template updated successfully",
+            template: getDecompositionTemplate(key)
+        });
+
+    } catch (error) {
+        console.error("Error in updateTemplate controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// Delete a stored template; a built-in with the same key becomes active again
+export async function deleteTemplate(req, res) {
+    try {
+        const { key } = req.params;
+
+        const deleted = await DecompositionTemplate.findOneAndDelete({ key });
+        if (!deleted) {
+            return res.status(404).json({ message: "No stored template with this key" });
+        }
+
+        resetDecompositionTemplate(key);
+
+        res.status(200).json({
+            message: "Template deleted successfully",
+            restored: getDecompositionTemplate(key) || null
+        });
+
+    } catch (error) {
+        console.error("Error in deleteTemplate controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
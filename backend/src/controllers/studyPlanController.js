@@ -1,104 +1,324 @@
+import { GOAL_TYPE_KEYS } from '../agents/goalTypes.js';
+import { taskConfig } from '../config/tasks.js';
 import Goal from '../models/Goal.js';
 import Memory from '../models/Memory.js';
+import OrchestrationRun from '../models/OrchestrationRun.js';
 import Plan from '../models/Plan.js';
+import PlanJob from '../models/PlanJob.js';
 import Task from '../models/Task.js';
-import { AgentOrchestrator } from '../services/agentOrchestrator.js';
+import { hasPipeline, listPipelines } from '../pipeline/registry.js';
+import { getEstimateCalibration } from '../services/calibrationService.js';
+import { getPlanJobWorker } from '../services/planJobWorker.js';
+import {
+    adjustStudyPlan,
+    answerClarification,
+    checkCompletedLate,
+    claimRun,
+    commitStudyPlan,
+    generateStudyPlan,
+    previewStudyPlan,
+    redecomposeTask,
+    resumeStudyPlan,
+    rollUpGoalTasks,
+    validateAnswers,
+    validatePreview,
+    validateResumeRequest
+} from '../services/planService.js';
+import { runEvents } from '../services/runEvents.js';
+import { getMonthlyQuota, getUsageSummary } from '../services/usageService.js';
+import { isValidTimeZone } from '../utils/deadlineParser.js';
+import { findCalibrationFactor } from '../utils/estimateCalibration.js';
+import { buildTaskTree, getLeafProgress, getLeafTasks } from '../utils/taskTree.js';
+
+// Clients ask for live progress with "Accept: text/event-stream" or ?stream=true
+function wantsEventStream(req) {
+    return req.query.stream === 'true' || (req.get('accept') || '').includes('text/event-stream');
+}
+
+// Switch the response to Server-Sent Events
+function openEventStream(res) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    // The request's 'close' doesn't fire once its body was read; the response's does on disconnect
+    res.on('close', () => clearInterval(heartbeat));
+
+    return {
+        send(event, data) {
+            if (res.writableEnded) return;
+            // Step entries carry stack traces in "error"; those stay in the server log
+            const body = event === 'step' ? { ...data, error: undefined } : data;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(body)}\n\n`);
+        },
+        close() {
+            clearInterval(heartbeat);
+            if (!res.writableEnded) res.end();
+        }
+    };
+}
 
 /**
  * Create complete study plan (Full Agent Orchestration)
- * Triggers: Goal Analyzer → Task Decomposer → Priority Scorer → Scheduler
+ * Triggers the stages of the chosen pipeline, by default:
+ * Goal Analyzer → Task Decomposer → Priority Scorer → Scheduler
  */
 export async function createStudyPlan(req, res) {
+    let stream = null;
     try {
-        const { goalText, preferences = {} } = req.body;
+        const { goalText, preferences = {}, pipeline, bypassCache = false, clarify = false, async: runAsync = false } = req.body;
         const userId = req.user.id; // from auth middleware
 
-        console.log(`🎯 Creating study plan for user ${userId}`);
+        if (pipeline !== undefined && !hasPipeline(pipeline)) {
+            return res.status(400).json({
+                message: `Unknown pipeline "${pipeline}"`,
+                pipelines: listPipelines().map(entry => entry.name)
+            });
+        }
+
+        if (preferences.timeZone !== undefined && !isValidTimeZone(preferences.timeZone)) {
+            return res.status(400).json({ message: `Unknown time zone "${preferences.timeZone}"` });
+        }
 
-        // Get user's memory for context (if exists)
-        const userMemory = await Memory.findOne({ userId });
+        console.log(`🎯 Creating study plan for user ${userId}`);
 
-        // Build user context from memory
-        const userContext = {
-            tendency: userMemory?.missedTaskPatterns?.tendency || 'balanced',
-            completedTasksCount: userMemory?.completionRate ? 
-                Math.round(userMemory.completionRate / 10) : 0,
-            overdueHistory: 0,
-            preferredTimes: userMemory?.preferredTimes || ['morning']
-        };
+        // Enforce monthly token quota before spending more
+        const quota = await getMonthlyQuota(userId);
+        if (quota.exceeded) {
+            return res.status(429).json({
+                message: "Monthly token quota exceeded",
+                quota
+            });
+        }
 
-        // Call full orchestrator workflow
-        const orchestrator = new AgentOrchestrator();
-        const result = await orchestrator.createStudyPlan(goalText, {
-            userContext,
-            schedulingPreferences: {
-                availableHoursPerDay: preferences.hoursPerDay || 4,
-                preferredStudyTimes: preferences.preferredTimes || ['morning', 'afternoon'],
-                bufferTimePercent: preferences.bufferTimePercent || 20,
-                startDate: preferences.startDate || new Date().toISOString().split('T')[0]
+        // Optionally hand the run to the background worker and return at once
+        if (runAsync === true || req.query.async === 'true') {
+            if (clarify === true) {
+                return res.status(400).json({ message: "clarify is not supported for async jobs" });
             }
+            const job = await getPlanJobWorker().enqueue({ userId, goalText, preferences, pipeline, bypassCache });
+            return res.status(202)
+                .location(`/api/study/jobs/${job._id}`)
+                .json({
+                    message: "Study plan job queued",
+                    jobId: job._id,
+                    status: job.status
+                });
+        }
+
+        // Stream orchestrator steps while the plan is being built
+        stream = wantsEventStream(req) ? openEventStream(res) : null;
+
+        const result = await generateStudyPlan({
+            userId,
+            goalText,
+            preferences,
+            pipeline,
+            bypassCache,
+            clarify: clarify === true,
+            onLog: stream ? (entry) => stream.send('step', entry) : undefined
         });
 
+        // Answers go to POST /runs/:id/answers
+        if (result.needsInput) {
+            const body = {
+                message: "More information needed",
+                runId: result.runId,
+                traceId: result.traceId,
+                questions: result.questions,
+                smart: result.smart,
+                rewrittenGoal: result.rewrittenGoal
+            };
+            if (stream) {
+                stream.send('questions', body);
+                return stream.close();
+            }
+            return res.status(200).json(body);
+        }
+
         if (!result.success) {
-            return res.status(500).json({ 
-                message: "Failed to create study plan", 
-                error: result.error 
-            });
+            // runId lets the client resume from the failed step
+            const failure = {
+                message: "Failed to create study plan",
+                error: result.error,
+                runId: result.runId,
+                traceId: result.traceId,
+                failedAt: result.failedAt
+            };
+            if (stream) {
+                stream.send('error', failure);
+                return stream.close();
+            }
+            return res.status(500).json(failure);
         }
 
-        // Save Goal to database
-        const newGoal = new Goal({
-            userId,
-            originalGoal: result.plan.goal.originalGoal,
-            parsedDeadline: result.plan.goal.parsedDeadline,
-            subject: result.plan.goal.subject,
-            complexity: result.plan.goal.complexity,
-            recommendedApproach: result.plan.goal.recommendedApproach,
-            status: 'active'
+        const body = {
+            message: "Study plan created successfully",
+            runId: result.runId,
+            traceId: result.traceId,
+            goal: result.goal,
+            tasks: result.tasks,
+            plan: result.plan,
+            executionTime: result.executionTime
+        };
+        if (stream) {
+            stream.send('result', body);
+            return stream.close();
+        }
+
+        res.status(201).json(body);
+
+    } catch (error) {
+        console.error("Error in createStudyPlan controller", error);
+        if (stream) {
+            stream.send('error', { message: "Internal server error", error: error.message });
+            return stream.close();
+        }
+        res.status(500).json({ 
+            message: "Internal server error", 
+            error: error.message 
         });
-        const savedGoal = await newGoal.save();
+    }
+}
 
-        // Save Tasks to database
-        const taskDocs = result.plan.tasks.map(task => ({
-            goalId: savedGoal._id,
-            userId,
-            description: task.description,
-            estimatedHours: task.estimatedHours,
-            priority: task.priority,
-            priorityScore: task.priorityScore,
-            order: task.order,
-            status: task.status || 'pending',
-            scoreReasoning: task.scoreReasoning
-        }));
-        const savedTasks = await Task.insertMany(taskDocs);
-
-        // Save Plan to database
-        const newPlan = new Plan({
-            goalId: savedGoal._id,
+/**
+ * Preview a study plan (dry run): runs the same agents as createStudyPlan
+ * and returns their output plus a feasibility check, but saves no Goal,
+ * Tasks or Plan
+ */
+export async function previewPlan(req, res) {
+    let stream = null;
+    try {
+        const { goalText, preferences = {}, pipeline, bypassCache = false } = req.body;
+        const userId = req.user.id; // from auth middleware
+
+        if (pipeline !== undefined && !hasPipeline(pipeline)) {
+            return res.status(400).json({
+                message: `Unknown pipeline "${pipeline}"`,
+                pipelines: listPipelines().map(entry => entry.name)
+            });
+        }
+
+        if (preferences.timeZone !== undefined && !isValidTimeZone(preferences.timeZone)) {
+            return res.status(400).json({ message: `Unknown time zone "${preferences.timeZone}"` });
+        }
+
+        // Previews call the models too, so they count against the quota
+        const quota = await getMonthlyQuota(userId);
+        if (quota.exceeded) {
+            return res.status(429).json({
+                message: "Monthly token quota exceeded",
+                quota
+            });
+        }
+
+        stream = wantsEventStream(req) ? openEventStream(res) : null;
+
+        const result = await previewStudyPlan({
             userId,
-            schedule: result.plan.schedule.schedule,
-            summary: result.plan.schedule.summary,
-            preferences: result.plan.schedule.preferences,
-            metadata: result.plan.metadata
+            goalText,
+            preferences,
+            pipeline,
+            bypassCache,
+            onLog: stream ? (entry) => stream.send('step', entry) : undefined
         });
-        const savedPlan = await newPlan.save();
 
-        console.log(`✅ Study plan created: ${savedTasks.length} tasks, ${savedPlan.summary.totalDays} days`);
+        if (!result.success) {
+            const failure = {
+                message: "Failed to preview study plan",
+                error: result.error,
+                traceId: result.traceId,
+                failedAt: result.failedAt
+            };
+            if (stream) {
+                stream.send('error', failure);
+                return stream.close();
+            }
+            return res.status(500).json(failure);
+        }
+
+        const body = {
+            message: "Study plan preview (not saved)",
+            traceId: result.traceId,
+            preview: result.preview
+        };
+        if (stream) {
+            stream.send('result', body);
+            return stream.close();
+        }
+
+        res.status(200).json(body);
+
+    } catch (error) {
+        console.error("Error in previewPlan controller", error);
+        if (stream) {
+            stream.send('error', { message: "Internal server error" });
+            return stream.close();
+        }
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+/**
+ * Save a previewed (and possibly edited) plan as-is, without calling the models
+ */
+export async function commitPlan(req, res) {
+    try {
+        const { preview } = req.body;
+        const userId = req.user.id; // from auth middleware
+
+        const problem = validatePreview(preview);
+        if (problem) {
+            return res.status(400).json({ message: "Invalid preview", error: problem });
+        }
+
+        const result = await commitStudyPlan({ userId, preview });
 
         res.status(201).json({
             message: "Study plan created successfully",
-            goal: savedGoal,
-            tasks: savedTasks,
-            plan: savedPlan,
-            executionTime: result.plan.metadata.executionTimeMs
+            goal: result.goal,
+            tasks: result.tasks,
+            plan: result.plan,
+            feasibility: result.feasibility
         });
 
     } catch (error) {
-        console.error("Error in createStudyPlan controller", error);
-        res.status(500).json({ 
-            message: "Internal server error", 
-            error: error.message 
-        });
+        console.error("Error in commitPlan controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+/**
+ * List the user's goals, newest first, optionally by type and status
+ */
+export async function getGoals(req, res) {
+    try {
+        const { type, status } = req.query;
+        const userId = req.user.id;
+
+        if (type !== undefined && !GOAL_TYPE_KEYS.includes(type)) {
+            return res.status(400).json({
+                message: `Unknown goal type "${type}"`,
+                types: GOAL_TYPE_KEYS
+            });
+        }
+
+        const query = { userId };
+        if (type) query.goalType = type;
+        if (status) query.status = status;
+
+        const goals = await Goal.find(query).sort({ createdAt: -1 });
+
+        res.status(200).json({ goals });
+    } catch (error) {
+        console.error("Error in getGoals controller", error);
+        res.status(500).json({ message: "Internal server error" });
     }
 }
 
@@ -115,9 +335,10 @@ export async function getGoalDetails(req, res) {
             return res.status(404).json({ message: "Goal not found" });
         }
 
-        // Get counts
-        const totalTasks = await Task.countDocuments({ goalId: id, userId });
-        const completedTasks = await Task.countDocuments({ goalId: id, userId, status: 'completed' });
+        // Get counts; milestones and split tasks only group their subtasks
+        const tasks = getLeafTasks(await Task.find({ goalId: id, userId }).select('status parentId'));
+        const totalTasks = tasks.length;
+        const completedTasks = tasks.filter(task => task.status === 'completed').length;
 
         res.status(200).json({ 
             goal,
@@ -125,7 +346,15 @@ export async function getGoalDetails(req, res) {
                 totalTasks,
                 completedTasks,
                 completionRate: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0
-            }
+            },
+            // Goals created before SMART grading have none
+            quality: goal.smart?.score ? {
+                score: goal.smart.score,
+                rating: goal.smart.rating,
+                weakCriteria: Object.keys(goal.smart.criteria || {})
+                    .filter(key => goal.smart.criteria[key].score <= 2),
+                rewrittenGoal: goal.rewrittenGoal
+            } : null
         });
     } catch (error) {
         console.error("Error in getGoalDetails controller", error);
@@ -135,6 +364,7 @@ export async function getGoalDetails(req, res) {
 
 /**
  * Get all tasks for a specific goal
+ * ?view=tree nests subtasks under their tasks and tasks under their milestones
  */
 export async function getTasks(req, res) {
     try {
@@ -147,11 +377,18 @@ export async function getTasks(req, res) {
             return res.status(404).json({ message: "Goal not found" });
         }
 
-        const tasks = await Task.find({ goalId: id, userId })
-            .sort({ priorityScore: -1, order: 1 });
+        const { view = 'flat' } = req.query;
+        if (!['flat', 'tree'].includes(view)) {
+            return res.status(400).json({ message: "view must be flat or tree" });
+        }
+
+        const tasks = view === 'tree'
+            ? buildTaskTree(await Task.find({ goalId: id, userId }).sort({ order: 1 }).lean())
+            : await Task.find({ goalId: id, userId }).sort({ priorityScore: -1, order: 1 });
 
         res.status(200).json({ 
             tasks,
+            view,
             goal: {
                 id: goal._id,
                 originalGoal: goal.originalGoal,
@@ -169,7 +406,7 @@ export async function getTasks(req, res) {
 export async function updateTaskStatus(req, res) {
     try {
         const { id } = req.params; // taskId
-        const { status } = req.body;
+        const { status, force = false } = req.body;
         const userId = req.user.id; // from auth middleware
 
         // Validate allowed status values
@@ -184,10 +421,43 @@ export async function updateTaskStatus(req, res) {
             return res.status(404).json({ message: "Task not found" });
         }
 
+        // A parent's status follows its subtasks
+        if (await Task.exists({ parentId: task._id })) {
+            return res.status(400).json({ message: "Status of a task with subtasks follows its subtasks" });
+        }
+
+        // Prerequisites come first unless the caller insists
+        if (status === 'completed' && !force && task.dependsOn?.length > 0) {
+            const openPrerequisites = await Task.find({
+                _id: { $in: task.dependsOn },
+                userId,
+                status: { $ne: 'completed' }
+            }).select('description status');
+            if (openPrerequisites.length > 0) {
+                return res.status(409).json({
+                    message: "Task has open prerequisites; complete them first or send force: true",
+                    prerequisites: openPrerequisites
+                });
+            }
+        }
+
         // Update task status
+        const wasCompleted = task.status === 'completed';
         task.status = status;
+        task.progress = getLeafProgress(task);
+        if (status !== 'completed') {
+            // A reopened task is judged again when it is next completed
+            task.completedAt = null;
+            task.completedLate = false;
+        } else if (!wasCompleted) {
+            task.completedAt = new Date();
+            task.completedLate = await checkCompletedLate(task, task.completedAt);
+        }
 
         await task.save();
+        if (task.parentId) {
+            await rollUpGoalTasks(task.goalId, userId);
+        }
 
         res.status(200).json({
             message: "Task status updated successfully",
@@ -200,6 +470,180 @@ export async function updateTaskStatus(req, res) {
     }
 }
 
+/**
+ * Check or uncheck one acceptance criterion of a task.
+ * A work item's progress follows its checklist; checking the first item starts it.
+ */
+export async function updateCriterion(req, res) {
+    try {
+        const { id, criterionId } = req.params;
+        const { done } = req.body;
+        const userId = req.user.id;
+
+        if (typeof done !== 'boolean') {
+            return res.status(400).json({ message: "done must be true or false" });
+        }
+
+        const task = await Task.findOne({ _id: id, userId });
+        if (!task) {
+            return res.status(404).json({ message: "Task not found" });
+        }
+
+        const criterion = task.acceptanceCriteria.id(criterionId);
+        if (!criterion) {
+            return res.status(404).json({ message: "Criterion not found" });
+        }
+
+        criterion.done = done;
+        criterion.checkedAt = done ? new Date() : null;
+
+        // A parent's progress and status roll up from its subtasks instead
+        const isParent = await Task.exists({ parentId: task._id });
+        if (!isParent) {
+            if (done && task.status === 'pending') task.status = 'in-progress';
+            task.progress = getLeafProgress(task);
+        }
+
+        await task.save();
+        if (task.parentId) {
+            await rollUpGoalTasks(task.goalId, userId);
+        }
+
+        res.status(200).json({
+            message: "Criterion updated successfully",
+            task,
+            allCriteriaMet: task.acceptanceCriteria.every(item => item.done)
+        });
+
+    } catch (error) {
+        console.error("Error in updateCriterion controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+/**
+ * Log time spent on a task. Completed tasks with logged time calibrate
+ * the estimates of the user's future plans.
+ */
+export async function logTime(req, res) {
+    try {
+        const { id } = req.params;
+        const { hours, note = '' } = req.body || {};
+        const userId = req.user.id;
+
+        if (typeof hours !== 'number' || !(hours > 0) || hours > 24) {
+            return res.status(400).json({ message: "hours must be a number above 0 and at most 24" });
+        }
+        if (typeof note !== 'string') {
+            return res.status(400).json({ message: "note must be a string" });
+        }
+
+        const task = await Task.findOne({ _id: id, userId });
+        if (!task) {
+            return res.status(404).json({ message: "Task not found" });
+        }
+
+        // Time goes on the work items; a parent's estimate is only their sum
+        if (await Task.exists({ parentId: task._id })) {
+            return res.status(400).json({ message: "Log time on the subtasks of a task with subtasks" });
+        }
+
+        task.timeLogs.push({ hours, note: note.trim() });
+        task.actualHours = Math.round((task.actualHours + hours) * 100) / 100;
+        await task.save();
+
+        res.status(201).json({
+            message: "Time logged successfully",
+            task
+        });
+
+    } catch (error) {
+        console.error("Error in logTime controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+/**
+ * Break one task that turned out too big or unclear into smaller tasks.
+ * The new tasks become its subtasks and take its place in the schedule;
+ * the rest of the plan is left as it is.
+ */
+export async function decomposeTask(req, res) {
+    let stream = null;
+    try {
+        const { id } = req.params;
+        const { note, bypassCache = false } = req.body || {};
+        const userId = req.user.id;
+
+        if (note !== undefined && typeof note !== 'string') {
+            return res.status(400).json({ message: "note must be a string" });
+        }
+
+        const task = await Task.findOne({ _id: id, userId });
+        if (!task) {
+            return res.status(404).json({ message: "Task not found" });
+        }
+
+        if (await Task.exists({ parentId: task._id })) {
+            return res.status(400).json({ message: "Task already has subtasks" });
+        }
+        if (task.status === 'completed') {
+            return res.status(400).json({ message: "A completed task cannot be broken down" });
+        }
+
+        // Enforce monthly token quota before spending more
+        const quota = await getMonthlyQuota(userId);
+        if (quota.exceeded) {
+            return res.status(429).json({
+                message: "Monthly token quota exceeded",
+                quota
+            });
+        }
+
+        stream = wantsEventStream(req) ? openEventStream(res) : null;
+
+        const result = await redecomposeTask({
+            userId,
+            task,
+            note: note?.trim() || undefined,
+            bypassCache,
+            onLog: stream ? (entry) => stream.send('step', entry) : undefined
+        });
+
+        if (!result.success) {
+            const failure = { message: "Failed to break down task", error: result.error, traceId: result.traceId };
+            if (stream) {
+                stream.send('error', failure);
+                return stream.close();
+            }
+            return res.status(500).json(failure);
+        }
+
+        const body = {
+            message: "Task broken down successfully",
+            traceId: result.traceId,
+            task: result.task,
+            subtasks: result.children,
+            plan: result.plan,
+            executionTime: result.executionTime
+        };
+        if (stream) {
+            stream.send('result', body);
+            return stream.close();
+        }
+
+        res.status(201).json(body);
+
+    } catch (error) {
+        console.error("Error in decomposeTask controller", error);
+        if (stream) {
+            stream.send('error', { message: "Internal server error" });
+            return stream.close();
+        }
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
 // Get
 export async function getPlan(req, res) {
     try {
@@ -232,8 +676,10 @@ export async function getPlan(req, res) {
 }
 
 export async function triggerReflection(req, res) {
+    let stream = null;
     try {
         const { goalId } = req.params;
+        const { bypassCache = false } = req.body || {};
         const userId = req.user.id;
 
         // 1. Verify goal ownership
@@ -251,33 +697,48 @@ export async function triggerReflection(req, res) {
         // 3. Load related tasks
         const tasks = await Task.find({ goalId, userId });
 
-        // 4. Run reflection via orchestrator
-        const orchestrator = new AgentOrchestrator();
+        // 4. Run reflection via orchestrator, streaming steps if asked to
+        stream = wantsEventStream(req) ? openEventStream(res) : null;
 
-        const reflectionResult = await orchestrator.reflect({
+        const result = await adjustStudyPlan({
+            userId,
             goal,
             plan,
-            tasks
+            tasks,
+            bypassCache,
+            onLog: stream ? (entry) => stream.send('step', entry) : undefined
         });
 
-        // 5. Persist adjustment (audit trail)
-        if (reflectionResult.adjusted) {
-            plan.adjustments.push({
-                reason: reflectionResult.reason,
-                changes: reflectionResult.changes
-            });
-
-            await plan.save();
+        if (!result.success) {
+            const failure = { message: "Failed to adjust plan", error: result.error, traceId: result.traceId };
+            if (stream) {
+                stream.send('error', failure);
+                return stream.close();
+            }
+            return res.status(500).json(failure);
         }
 
-        res.status(200).json({
+        const body = {
             message: "Reflection completed",
-            adjusted: reflectionResult.adjusted,
-            plan
-        });
+            adjusted: true,
+            traceId: result.traceId,
+            reflection: result.reflection,
+            plan: result.plan,
+            executionTime: result.executionTime
+        };
+        if (stream) {
+            stream.send('result', body);
+            return stream.close();
+        }
+
+        res.status(200).json(body);
 
     } catch (error) {
         console.error("Error in triggerReflection controller", error);
+        if (stream) {
+            stream.send('error', { message: "Internal server error" });
+            return stream.close();
+        }
         res.status(500).json({ message: "Internal server error" });
     }
 }
@@ -302,11 +763,13 @@ export async function getInsights(req, res) {
             await memory.save();
         }
 
-        // Get additional statistics
-        const totalTasks = await Task.countDocuments({ userId });
-        const completedTasks = await Task.countDocuments({ userId, status: 'completed' });
-        const missedTasks = await Task.countDocuments({ userId, status: 'missed' });
-        const inProgressTasks = await Task.countDocuments({ userId, status: 'in-progress' });
+        // Get additional statistics over actual work items, not their milestones
+        const tasks = getLeafTasks(await Task.find({ userId }).select('status parentId'));
+        const countStatus = (status) => tasks.filter(task => task.status === status).length;
+        const totalTasks = tasks.length;
+        const completedTasks = countStatus('completed');
+        const missedTasks = countStatus('missed');
+        const inProgressTasks = countStatus('in-progress');
 
         // Calculate current completion rate
         const currentCompletionRate = totalTasks > 0 
@@ -338,4 +801,341 @@ export async function getInsights(req, res) {
         console.error("Error in getInsights controller", error);
         res.status(500).json({ message: "Internal server error" });
     }
-}
\ No newline at end of file
+}
+
+// Get LLM token usage and cost
+export async function getUsage(req, res) {
+    try {
+        const userId = req.user.id; // from auth middleware
+
+        // Default window: last 30 days
+        const today = new Date().toISOString().split('T')[0];
+        const defaultFrom = new Date(Date.now() - 29 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        const { from = defaultFrom, to = today } = req.query;
+
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if (!datePattern.test(from) || !datePattern.test(to)) {
+            return res.status(400).json({ message: "from and to must be YYYY-MM-DD dates" });
+        }
+
+        const summary = await getUsageSummary(userId, from, to);
+        const quota = await getMonthlyQuota(userId);
+
+        res.status(200).json({
+            period: { from, to },
+            ...summary,
+            quota
+        });
+
+    } catch (error) {
+        console.error("Error in getUsage controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// Get how the user's logged time compares with estimates, per subject and complexity
+export async function getCalibration(req, res) {
+    try {
+        const userId = req.user.id; // from auth middleware
+
+        const buckets = await getEstimateCalibration(userId);
+
+        res.status(200).json({
+            // factor: what new estimates for that subject and complexity are multiplied by
+            calibration: buckets.map(bucket => {
+                const { factor, basis } = findCalibrationFactor(buckets, bucket, taskConfig.calibration);
+                return { ...bucket, factor, basis };
+            }),
+            minSamples: taskConfig.calibration.minSamples,
+            maxFactor: taskConfig.calibration.maxFactor
+        });
+
+    } catch (error) {
+        console.error("Error in getCalibration controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// List the plan pipelines a goal can be run through
+export async function getPipelines(req, res) {
+    try {
+        res.status(200).json({ pipelines: listPipelines() });
+    } catch (error) {
+        console.error("Error in getPipelines controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// Get status of a queued plan generation job
+export async function getJob(req, res) {
+    try {
+        const { id } = req.params; // jobId
+        const userId = req.user.id; // from auth middleware
+
+        const job = await PlanJob.findOne({ _id: id, userId });
+        if (!job) {
+            return res.status(404).json({ message: "Job not found" });
+        }
+
+        res.status(200).json({
+            job: {
+                id: job._id,
+                status: job.status,
+                currentStep: job.currentStep,
+                attempts: job.attempts,
+                error: job.error,
+                runId: job.runId,
+                result: job.status === 'completed' ? {
+                    goalId: job.result.goalId,
+                    taskIds: job.result.taskIds,
+                    planId: job.result.planId,
+                    executionTime: job.result.executionTime
+                } : null,
+                createdAt: job.createdAt,
+                startedAt: job.startedAt,
+                finishedAt: job.finishedAt
+            }
+        });
+
+    } catch (error) {
+        console.error("Error in getJob controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// Stream live progress of a background plan job (Server-Sent Events)
+export async function getJobEvents(req, res) {
+    let stream = null;
+    try {
+        const { id } = req.params; // jobId
+        const userId = req.user.id; // from auth middleware
+
+        const job = await PlanJob.findOne({ _id: id, userId });
+        if (!job) {
+            return res.status(404).json({ message: "Job not found" });
+        }
+
+        stream = openEventStream(res);
+
+        // Finished before this process saw it (or before a restart): report the outcome only
+        if (!runEvents.has(job._id) && ['completed', 'failed'].includes(job.status)) {
+            stream.send(job.status === 'completed' ? 'result' : 'error', {
+                status: job.status,
+                result: job.status === 'completed' ? job.result : null,
+                error: job.error
+            });
+            return stream.close();
+        }
+
+        stream.send('status', { status: job.status, currentStep: job.currentStep });
+
+        const unsubscribe = runEvents.subscribe(job._id, ({ type, data }) => {
+            stream.send(type, data);
+            if (type === 'result' || type === 'error') stream.close();
+        });
+        res.on('close', unsubscribe);
+
+    } catch (error) {
+        console.error("Error in getJobEvents controller", error);
+        if (stream) return stream.close();
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// Get an orchestration run with its step checkpoints
+export async function getRun(req, res) {
+    try {
+        const { id } = req.params; // runId
+        const userId = req.user.id; // from auth middleware
+
+        const run = await OrchestrationRun.findOne({ _id: id, userId });
+        if (!run) {
+            return res.status(404).json({ message: "Run not found" });
+        }
+
+        res.status(200).json({ run });
+
+    } catch (error) {
+        console.error("Error in getRun controller", error);
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// Resume a failed run, or re-run one step with modified input
+export async function resumeRun(req, res) {
+    let stream = null;
+    try {
+        const { id } = req.params; // runId
+        const { step, input, bypassCache = false } = req.body || {};
+        const userId = req.user.id; // from auth middleware
+
+        const run = await OrchestrationRun.findOne({ _id: id, userId });
+        if (!run) {
+            return res.status(404).json({ message: "Run not found" });
+        }
+
+        const problem = validateResumeRequest(run, step, input);
+        if (problem) {
+            return res.status(run.status === 'running' ? 409 : 400).json({ message: problem });
+        }
+
+        // Enforce monthly token quota before spending more
+        const quota = await getMonthlyQuota(userId);
+        if (quota.exceeded) {
+            return res.status(429).json({
+                message: "Monthly token quota exceeded",
+                quota
+            });
+        }
+
+        // Of concurrent requests for the same run only the first one runs it
+        if (!(await claimRun(run))) {
+            return res.status(409).json({ message: "Run is already in progress" });
+        }
+
+        stream = wantsEventStream(req) ? openEventStream(res) : null;
+
+        const result = await resumeStudyPlan(run, {
+            step,
+            input,
+            bypassCache,
+            onLog: stream ? (entry) => stream.send('step', entry) : undefined
+        });
+
+        // A run that failed in its first step may stop for questions this time
+        if (result.needsInput) {
+            const body = {
+                message: "More information needed",
+                runId: result.runId,
+                traceId: result.traceId,
+                questions: result.questions,
+                smart: result.smart,
+                rewrittenGoal: result.rewrittenGoal
+            };
+            if (stream) {
+                stream.send('questions', body);
+                return stream.close();
+            }
+            return res.status(200).json(body);
+        }
+
+        if (!result.success) {
+            const failure = {
+                message: "Failed to create study plan",
+                error: result.error,
+                runId: result.runId,
+                traceId: result.traceId,
+                failedAt: result.failedAt
+            };
+            if (stream) {
+                stream.send('error', failure);
+                return stream.close();
+            }
+            return res.status(500).json(failure);
+        }
+
+        const body = {
+            message: "Study plan created successfully",
+            runId: result.runId,
+            traceId: result.traceId,
+            goal: result.goal,
+            tasks: result.tasks,
+            plan: result.plan,
+            executionTime: result.executionTime
+        };
+        if (stream) {
+            stream.send('result', body);
+            return stream.close();
+        }
+
+        res.status(200).json(body);
+
+    } catch (error) {
+        console.error("Error in resumeRun controller", error);
+        if (stream) {
+            stream.send('error', { message: "Internal server error" });
+            return stream.close();
+        }
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
+
+// Continue a run that stopped for clarifying questions
+export async function answerRun(req, res) {
+    let stream = null;
+    try {
+        const { id } = req.params; // runId
+        const { answers, bypassCache = false } = req.body || {};
+        const userId = req.user.id; // from auth middleware
+
+        const run = await OrchestrationRun.findOne({ _id: id, userId });
+        if (!run) {
+            return res.status(404).json({ message: "Run not found" });
+        }
+
+        const problem = validateAnswers(run, answers);
+        if (problem) {
+            return res.status(run.status === 'running' ? 409 : 400).json({ message: problem });
+        }
+
+        // Enforce monthly token quota before spending more
+        const quota = await getMonthlyQuota(userId);
+        if (quota.exceeded) {
+            return res.status(429).json({
+                message: "Monthly token quota exceeded",
+                quota
+            });
+        }
+
+        // Of concurrent requests for the same run only the first one runs it
+        if (!(await claimRun(run))) {
+            return res.status(409).json({ message: "Run is already in progress" });
+        }
+
+        stream = wantsEventStream(req) ? openEventStream(res) : null;
+
+        const result = await answerClarification(run, answers, {
+            bypassCache,
+            onLog: stream ? (entry) => stream.send('step', entry) : undefined
+        });
+
+        if (!result.success) {
+            const failure = {
+                message: "Failed to create study plan",
+                error: result.error,
+                runId: result.runId,
+                traceId: result.traceId,
+                failedAt: result.failedAt
+            };
+            if (stream) {
+                stream.send('error', failure);
+                return stream.close();
+            }
+            return res.status(500).json(failure);
+        }
+
+        const body = {
+            message: "Study plan created successfully",
+            runId: result.runId,
+            traceId: result.traceId,
+            goal: result.goal,
+            tasks: result.tasks,
+            plan: result.plan,
+            executionTime: result.executionTime
+        };
+        if (stream) {
+            stream.send('result', body);
+            return stream.close();
+        }
+
+        res.status(201).json(body);
+
+    } catch (error) {
+        console.error("Error in answerRun controller", error);
+        if (stream) {
+            stream.send('error', { message: "Internal server error" });
+            return stream.close();
+        }
+        res.status(500).json({ message: "Internal server error" });
+    }
+}
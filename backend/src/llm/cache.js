@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import { cacheConfig } from "../config/llm.js";
+import LlmCache from "../models/LlmCache.js";
+
+/**
+ * Build a cache key from provider, model, normalized prompt and temperature.
+ * Whitespace is collapsed so formatting-only prompt changes still hit.
+ * @param {Object} entry - { provider, model, prompt, temperature }
+ * @returns {string} sha256 hex digest
+ */
+export const buildCacheKey = ({ provider, model, prompt, temperature }) => {
+  const normalizedPrompt = String(prompt).replace(/\s+/g, " ").trim();
+
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ provider, model, prompt: normalizedPrompt, temperature }))
+    .digest("hex");
+};
+
+/**
+ * In-memory LRU cache with per-entry TTL
+ */
+export class MemoryCache {
+  constructor({ maxEntries = 500, ttlSeconds = 86400 } = {}) {
+    this.name = "memory";
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlSeconds * 1000;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    // Evict least recently used entries (Map keeps insertion order)
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * MongoDB-backed cache, shared across server instances
+ */
+export class MongoCache {
+  constructor({ ttlSeconds = 86400 } = {}) {
+    this.name = "mongo";
+    this.ttlMs = ttlSeconds * 1000;
+  }
+
+  async get(key) {
+    const entry = await LlmCache.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    if (!entry) return null;
+
+    return {
+      content: entry.content,
+      provider: entry.provider,
+      model: entry.model,
+      usage: entry.usage,
+    };
+  }
+
+  async set(key, value) {
+    await LlmCache.updateOne(
+      { key },
+      {
+        key,
+        provider: value.provider,
+        model: value.model,
+        content: value.content,
+        usage: value.usage || null,
+        expiresAt: new Date(Date.now() + this.ttlMs),
+      },
+      { upsert: true }
+    );
+  }
+
+  async clear() {
+    await LlmCache.deleteMany({});
+  }
+}
+
+let cacheInstance;
+
+/**
+ * Get the configured cache backend, or null when caching is off
+ * @returns {MemoryCache|MongoCache|null}
+ */
+export const getCache = () => {
+  if (cacheInstance === undefined) {
+    if (cacheConfig.backend === "mongo") {
+      cacheInstance = new MongoCache(cacheConfig);
+    } else if (cacheConfig.backend === "memory") {
+      cacheInstance = new MemoryCache(cacheConfig);
+    } else {
+      cacheInstance = null;
+    }
+  }
+  return cacheInstance;
+};
+
+/**
+ * Swap the cache backend at runtime (tests)
+ * @param {MemoryCache|MongoCache|null} cache
+ */
+export const setCache = (cache) => {
+  cacheInstance = cache;
+};
+
+export default { getCache, setCache, buildCacheKey, MemoryCache, MongoCache };
@@ -0,0 +1,257 @@
+import { getChainForAgent, providers as providerConfig } from "../config/llm.js";
+import { buildCacheKey, getCache } from "./cache.js";
+import { getBreaker, getSemaphore, LLMUnavailableError } from "./resilience.js";
+import { GeminiProvider } from "./providers/gemini.js";
+import { HuggingFaceProvider } from "./providers/huggingface.js";
+import { OpenAICompatibleProvider } from "./providers/openaiCompatible.js";
+import { ReplayProvider } from "./providers/replay.js";
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Factories are resolved lazily so a missing API key only matters
+// when that provider is actually part of a chain
+const providerFactories = {
+  huggingface: () => new HuggingFaceProvider(providerConfig.huggingface),
+  gemini: () => new GeminiProvider(providerConfig.gemini),
+  local: () => new OpenAICompatibleProvider({ name: "local", ...providerConfig.local }),
+  replay: () => new ReplayProvider(providerConfig.replay),
+};
+
+const providerInstances = new Map();
+
+/**
+ * Register a provider factory (e.g. a second OpenAI-compatible endpoint)
+ * @param {string} name - Provider name used in chains
+ * @param {Function} factory - Returns an object with complete(request)
+ */
+export const registerProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  providerInstances.delete(name);
+};
+
+/**
+ * Get (and lazily create) a provider instance
+ * @param {string} name - Provider name
+ * @returns {Object} Provider instance
+ */
+export const getProvider = (name) => {
+  if (!providerInstances.has(name)) {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    providerInstances.set(name, factory());
+  }
+  return providerInstances.get(name);
+};
+
+/**
+ * Shortcut to the record/replay provider (tests switch modes through it)
+ * @returns {ReplayProvider}
+ */
+export const getReplayProvider = () => getProvider("replay");
+
+/**
+ * Call the configured LLM chain with retry and ordered fallback.
+ * Every provider/model has a circuit breaker, and all provider calls share
+ * one concurrency limiter; when nothing can be tried an LLMUnavailableError
+ * is thrown straight away.
+ * @param {string} prompt - The prompt to send to the model
+ * @param {Object} options - Configuration options
+ * @param {string} options.agent - Agent key used to pick the provider chain (optional)
+ * @param {string} options.provider - Force a single provider (optional)
+ * @param {string} options.model - Force a model on the first provider (optional)
+ * @param {number} options.maxRetries - Maximum retry attempts per chain entry (default: 3)
+ * @param {number} options.retryDelay - Delay between retries in ms (default: 1000)
+ * @param {number} options.maxTokens - Maximum tokens in response (default: 500)
+ * @param {number} options.temperature - Sampling temperature (default: 0.7)
+ * @param {boolean} options.bypassCache - Skip the response cache for this call (default: false)
+ * @param {Function} options.onCall - Receives { agent, provider, model, usage, attempts, cached, durationMs, prompt, response }
+ * @returns {Promise<Object>} { content, provider, model, usage, attempts, cached }
+ * @throws {LLMUnavailableError} When every circuit is open or the queue is full
+ */
+export const callLLM = async (prompt, options = {}) => {
+  const {
+    agent,
+    provider,
+    model,
+    maxRetries = 3,
+    retryDelay = 1000,
+    maxTokens = 500,
+    temperature = 0.7,
+    bypassCache = false,
+    onCall,
+  } = options;
+
+  const startTime = Date.now();
+  const report = (response) => {
+    onCall?.({
+      agent,
+      provider: response.provider,
+      model: response.model,
+      usage: response.usage,
+      attempts: response.attempts,
+      cached: response.cached,
+      durationMs: Date.now() - startTime,
+      prompt,
+      response: response.content,
+    });
+    return response;
+  };
+
+  const replay = getReplayProvider();
+  const request = { agent, prompt, model, maxTokens, temperature };
+
+  // Replay and scripted modes never touch a real provider
+  if (replay.isServing()) {
+    const result = await replay.complete(request);
+    return report({
+      content: result.content,
+      provider: replay.name,
+      model: replay.defaultModel,
+      usage: result.usage,
+      attempts: 1,
+      cached: false,
+    });
+  }
+
+  const chain = resolveChain(agent, provider, model);
+
+  // Fixtures must see every call, so recording skips the cache
+  const cache = replay.mode === "live" && !bypassCache ? getCache() : null;
+  if (cache) {
+    const hit = await readCache(cache, chain, prompt, temperature);
+    if (hit) {
+      return report({ ...hit, attempts: 0, cached: true });
+    }
+  }
+
+  const limiter = getSemaphore();
+  let lastError;
+  let attempts = 0;
+
+  // Try each chain entry in order
+  for (const entry of chain) {
+    let instance;
+    try {
+      instance = getProvider(entry.provider);
+    } catch (error) {
+      lastError = error;
+      console.warn(error.message);
+      continue;
+    }
+
+    const entryModel = entry.model || instance.defaultModel;
+    const breaker = getBreaker(entry.provider, entryModel);
+
+    // Retry logic for each entry
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      // Queue full / wait timeout propagates as LLMUnavailableError
+      await limiter.acquire();
+
+      // Open circuit: skip to the next chain entry without waiting
+      if (!breaker.canRequest()) {
+        limiter.release();
+        console.warn(`${entry.provider}/${entryModel} circuit open, skipping`);
+        break;
+      }
+
+      attempts++;
+      try {
+        const result = await instance.complete({
+          prompt,
+          model: entryModel,
+          maxTokens,
+          temperature,
+        });
+        breaker.recordSuccess();
+
+        const response = {
+          content: result.content,
+          provider: entry.provider,
+          model: entryModel,
+          usage: result.usage,
+          attempts,
+          cached: false,
+        };
+        replay.record(request, response);
+        await writeCache(cache, response, prompt, temperature);
+
+        return report(response);
+      } catch (error) {
+        breaker.recordFailure();
+        lastError = error;
+        console.warn(`${entry.provider}/${entryModel} attempt ${attempt} failed: ${error.message}`);
+      } finally {
+        limiter.release();
+      }
+
+      // Wait before retrying (except on last attempt or once the circuit opened)
+      if (attempt < maxRetries && breaker.state === "closed") {
+        await sleep(retryDelay);
+      }
+    }
+  }
+
+  // Nothing was even attempted: fail fast so agents use their fallbacks
+  if (attempts === 0) {
+    throw new LLMUnavailableError(`No LLM provider available${lastError ? `: ${lastError.message}` : " (all circuits open)"}`);
+  }
+
+  // All attempts failed
+  throw new Error(`All models failed. Last error: ${lastError?.message}`);
+};
+
+/**
+ * Look up each chain entry in the cache, in order
+ * @private
+ */
+const readCache = async (cache, chain, prompt, temperature) => {
+  try {
+    for (const entry of chain) {
+      if (!providerFactories[entry.provider]) continue;
+
+      const entryModel = entry.model || getProvider(entry.provider).defaultModel;
+      const hit = await cache.get(buildCacheKey({ provider: entry.provider, model: entryModel, prompt, temperature }));
+      if (hit) return hit;
+    }
+  } catch (error) {
+    console.warn(`LLM cache read failed: ${error.message}`);
+  }
+  return null;
+};
+
+/**
+ * Store a live response under the provider/model that produced it
+ * @private
+ */
+const writeCache = async (cache, response, prompt, temperature) => {
+  if (!cache) return;
+  try {
+    await cache.set(
+      buildCacheKey({ provider: response.provider, model: response.model, prompt, temperature }),
+      { content: response.content, provider: response.provider, model: response.model, usage: response.usage }
+    );
+  } catch (error) {
+    console.warn(`LLM cache write failed: ${error.message}`);
+  }
+};
+
+/**
+ * Work out which chain entries to try for a call
+ * @private
+ */
+const resolveChain = (agent, provider, model) => {
+  if (provider) {
+    return [{ provider, model }];
+  }
+
+  const chain = getChainForAgent(agent);
+  if (model) {
+    // Explicit model pins the first provider, the rest stay as fallback
+    return [{ provider: chain[0].provider, model }, ...chain.slice(1)];
+  }
+  return chain;
+};
+
+export default { callLLM, registerProvider, getProvider, getReplayProvider };
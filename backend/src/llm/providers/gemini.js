@@ -0,0 +1,45 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+/**
+ * Google Gemini provider
+ */
+export class GeminiProvider {
+  constructor(config = {}) {
+    this.name = "gemini";
+    this.defaultModel = config.defaultModel;
+    this.client = config.apiKey ? new GoogleGenerativeAI(config.apiKey) : null;
+  }
+
+  /**
+   * Run a single generateContent call
+   * @param {Object} request - Same shape as HuggingFaceProvider.complete
+   * @returns {Promise<Object>} { content, usage }
+   */
+  async complete({ prompt, model, maxTokens, temperature }) {
+    if (!this.client) {
+      throw new Error("GEMINI_API_KEY is not configured");
+    }
+
+    const generativeModel = this.client.getGenerativeModel({
+      model: model || this.defaultModel,
+      generationConfig: {
+        maxOutputTokens: maxTokens,
+        temperature,
+      },
+    });
+
+    const result = await generativeModel.generateContent(prompt);
+    const usage = result.response.usageMetadata;
+
+    return {
+      content: result.response.text(),
+      usage: usage ? {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0,
+      } : null,
+    };
+  }
+}
+
+export default GeminiProvider;
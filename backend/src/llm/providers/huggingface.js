@@ -0,0 +1,44 @@
+import { InferenceClient } from "@huggingface/inference";
+
+/**
+ * Hugging Face Inference provider
+ * Wraps InferenceClient.chatCompletion behind the common provider interface
+ */
+export class HuggingFaceProvider {
+  constructor(config = {}) {
+    this.name = "huggingface";
+    this.defaultModel = config.defaultModel;
+    this.client = new InferenceClient(config.apiKey);
+  }
+
+  /**
+   * Run a single chat completion
+   * @param {Object} request
+   * @param {string} request.prompt - User prompt
+   * @param {string} request.model - Model id
+   * @param {number} request.maxTokens - Maximum tokens in response
+   * @param {number} request.temperature - Sampling temperature
+   * @returns {Promise<Object>} { content, usage }
+   */
+  async complete({ prompt, model, maxTokens, temperature }) {
+    const response = await this.client.chatCompletion({
+      model: model || this.defaultModel,
+      messages: [
+        { role: "user", content: prompt }
+      ],
+      max_tokens: maxTokens,
+      temperature,
+    });
+
+    return {
+      content: response.choices[0].message.content,
+      usage: response.usage ? {
+        promptTokens: response.usage.prompt_tokens || 0,
+        completionTokens: response.usage.completion_tokens || 0,
+        totalTokens: response.usage.total_tokens || 0,
+      } : null,
+    };
+  }
+}
+
+export default HuggingFaceProvider;
@@ -0,0 +1,55 @@
+/**
+ * OpenAI-compatible provider
+ * Talks to any server exposing POST /chat/completions (Ollama, llama.cpp, vLLM...)
+ */
+export class OpenAICompatibleProvider {
+  constructor(config = {}) {
+    this.name = config.name || "local";
+    this.defaultModel = config.defaultModel;
+    this.baseUrl = (config.baseUrl || "").replace(/\/+$/, "");
+    this.apiKey = config.apiKey;
+  }
+
+  /**
+   * Run a single chat completion
+   * @param {Object} request - Same shape as HuggingFaceProvider.complete
+   * @returns {Promise<Object>} { content, usage }
+   */
+  async complete({ prompt, model, maxTokens, temperature }) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model: model || this.defaultModel,
+        messages: [
+          { role: "user", content: prompt }
+        ],
+        max_tokens: maxTokens,
+        temperature,
+      }),
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`${this.name} responded ${response.status}: ${body.slice(0, 200)}`);
+    }
+
+    const data = await response.json();
+
+    return {
+      content: data.choices?.[0]?.message?.content ?? "",
+      usage: data.usage ? {
+        promptTokens: data.usage.prompt_tokens || 0,
+        completionTokens: data.usage.completion_tokens || 0,
+        totalTokens: data.usage.total_tokens || 0,
+      } : null,
+    };
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+/**
+ * Build the fixture key for a call. Provider and resolved model are left out
+ * on purpose so a recording made against one provider replays for any chain.
+ * @param {Object} request - { agent, prompt, model, maxTokens, temperature }
+ * @returns {string} sha256 hex digest
+ */
+export const fixtureKey = ({ agent, prompt, model, maxTokens, temperature }) => {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({
+      agent: agent || null,
+      prompt,
+      model: model || null,
+      maxTokens,
+      temperature,
+    }))
+    .digest("hex");
+};
+
+/**
+ * Record / replay / scripted provider for offline runs
+ * - live: inactive, the real chain answers
+ * - record: the real chain answers and every response is written to a fixture
+ * - replay: responses come from fixtures, a missing fixture is an error
+ * - scripted: responses come from per-agent queues set with script()
+ */
+export class ReplayProvider {
+  constructor(config = {}) {
+    this.name = "replay";
+    this.defaultModel = "fixture";
+    this.mode = config.mode || "live";
+    this.fixturesDir = config.fixturesDir;
+    this.scripts = {};
+  }
+
+  /**
+   * Switch mode at runtime (tests)
+   * @param {string} mode - live, record, replay or scripted
+   */
+  setMode(mode) {
+    const valid = ["live", "record", "replay", "scripted"];
+    if (!valid.includes(mode)) {
+      throw new Error(`Invalid LLM mode: ${mode}`);
+    }
+    this.mode = mode;
+  }
+
+  /**
+   * Whether this provider answers calls instead of the real chain
+   * @returns {boolean}
+   */
+  isServing() {
+    return this.mode === "replay" || this.mode === "scripted";
+  }
+
+  /**
+   * Queue canned responses per agent. Use "*" for any agent.
+   * An Error instance in the queue is thrown instead of returned.
+   * @param {Object} responses - { goalAnalyzer: ['not json', new Error('down')], ... }
+   */
+  script(responses) {
+    Object.entries(responses).forEach(([agent, queue]) => {
+      this.scripts[agent] = [...(this.scripts[agent] || []), ...queue];
+    });
+  }
+
+  /**
+   * Drop all queued scripted responses
+   */
+  reset() {
+    this.scripts = {};
+  }
+
+  /**
+   * Serve a response from the script queue or a fixture file
+   * @param {Object} request - { agent, prompt, model, maxTokens, temperature }
+   * @returns {Promise<Object>} { content, usage }
+   */
+  async complete(request) {
+    if (this.mode === "scripted") {
+      return this.nextScripted(request.agent);
+    }
+
+    const key = fixtureKey(request);
+    const file = this.fixturePath(key);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No LLM fixture for ${request.agent || "call"} (${key.slice(0, 12)})`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, "utf8"));
+    return {
+      content: fixture.response,
+      usage: fixture.usage || null,
+    };
+  }
+
+  /**
+   * Persist a live response as a fixture (record mode only)
+   * @param {Object} request - Same shape as complete()
+   * @param {Object} result - { content, provider, model, usage }
+   */
+  record(request, result) {
+    if (this.mode !== "record") return;
+
+    const key = fixtureKey(request);
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(this.fixturePath(key), JSON.stringify({
+      key,
+      agent: request.agent || null,
+      prompt: request.prompt,
+      options: {
+        model: request.model || null,
+        maxTokens: request.maxTokens,
+        temperature: request.temperature,
+      },
+      provider: result.provider,
+      model: result.model,
+      response: result.content,
+      usage: result.usage || null,
+      recordedAt: new Date().toISOString(),
+    }, null, 2));
+  }
+
+  /**
+   * Pop the next scripted response for an agent
+   * @private
+   */
+  nextScripted(agent) {
+    const queue = this.scripts[agent]?.length ? this.scripts[agent] : this.scripts["*"];
+    if (!queue || queue.length === 0) {
+      throw new Error(`No scripted LLM response left for ${agent || "call"}`);
+    }
+
+    const next = queue.shift();
+    if (next instanceof Error) {
+      throw next;
+    }
+    return { content: next, usage: null };
+  }
+
+  /**
+   * @private
+   */
+  fixturePath(key) {
+    return path.join(this.fixturesDir, `${key}.json`);
+  }
+}
+
+export default ReplayProvider;
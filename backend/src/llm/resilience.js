@@ -0,0 +1,189 @@
+import { resilienceConfig } from "../config/llm.js";
+
+/**
+ * Thrown when a call is refused without reaching a provider
+ * (every circuit open, or the request queue is full / timed out).
+ * Agents treat it as a signal to use their rule-based fallbacks.
+ */
+export class LLMUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LLMUnavailableError";
+  }
+}
+
+/**
+ * Circuit breaker for one provider/model
+ * closed → (failureThreshold consecutive failures) → open
+ * open → (resetTimeoutMs elapsed) → half-open, a single probe call is let through
+ * half-open → success: closed, failure: open again
+ */
+export class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Whether a call may go out now. In half-open state this reserves the probe.
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === "closed") return true;
+
+    if (this.state === "open") {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) return false;
+      this.state = "half-open";
+    }
+
+    // half-open: only one probe at a time
+    if (this.probeInFlight) return false;
+    this.probeInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  recordFailure() {
+    this.probeInFlight = false;
+    this.failures++;
+
+    if (this.state === "half-open" || this.failures >= this.failureThreshold) {
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * @returns {Object} Snapshot for monitoring
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+    };
+  }
+}
+
+/**
+ * Counting semaphore with a bounded FIFO wait queue
+ */
+export class Semaphore {
+  constructor({ maxConcurrent = 4, maxQueue = 20, queueTimeoutMs = 30000 } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.maxQueue = maxQueue;
+    this.queueTimeoutMs = queueTimeoutMs;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Wait for a free slot
+   * @returns {Promise<void>}
+   * @throws {LLMUnavailableError} When the queue is full or the wait times out
+   */
+  acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(new LLMUnavailableError("LLM request queue is full"));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve };
+      waiter.timer = setTimeout(() => {
+        this.queue = this.queue.filter(w => w !== waiter);
+        reject(new LLMUnavailableError("Timed out waiting for a free LLM slot"));
+      }, this.queueTimeoutMs);
+      this.queue.push(waiter);
+    });
+  }
+
+  /**
+   * Hand the slot to the next waiter, or free it
+   */
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      clearTimeout(next.timer);
+      next.resolve();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Run fn while holding a slot
+   * @param {Function} fn - Async function
+   * @returns {Promise<*>} fn's result
+   */
+  async run(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+}
+
+const breakers = new Map();
+let semaphore;
+
+/**
+ * Get the breaker for a provider/model pair
+ * @param {string} provider - Provider name
+ * @param {string} model - Model id
+ * @returns {CircuitBreaker}
+ */
+export const getBreaker = (provider, model) => {
+  const key = `${provider}:${model}`;
+  if (!breakers.has(key)) {
+    breakers.set(key, new CircuitBreaker(resilienceConfig));
+  }
+  return breakers.get(key);
+};
+
+/**
+ * Get the process-wide model call semaphore
+ * @returns {Semaphore}
+ */
+export const getSemaphore = () => {
+  if (!semaphore) {
+    semaphore = new Semaphore(resilienceConfig);
+  }
+  return semaphore;
+};
+
+/**
+ * Snapshot of every breaker, keyed by provider:model
+ * @returns {Object}
+ */
+export const getCircuitStates = () => {
+  return Object.fromEntries(
+    [...breakers.entries()].map(([key, breaker]) => [key, breaker.getState()])
+  );
+};
+
+/**
+ * Forget all breaker state and limiter settings (tests)
+ */
+export const resetResilience = () => {
+  breakers.clear();
+  semaphore = undefined;
+};
+
+export default { getBreaker, getSemaphore, getCircuitStates, resetResilience, CircuitBreaker, Semaphore, LLMUnavailableError };
@@ -0,0 +1,317 @@
+import { callHuggingFace } from "../config/huggingface.js";
+import { checkOutput, fenceUserContent, sanitizeUserText } from "../prompts/guard.js";
+
+/**
+ * Thrown when model output can't be turned into schema-valid JSON,
+ * even after tolerant extraction and repair prompts
+ */
+export class StructuredOutputError extends Error {
+  constructor(message, { raw, errors = [], attempts = 1 } = {}) {
+    super(message);
+    this.name = "StructuredOutputError";
+    this.raw = raw;
+    this.errors = errors;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Validate a value against a small JSON Schema subset:
+ * type (string or array of types), properties, required, items,
+ * enum, minimum, maximum, minItems, additionalProperties: false, anyOf
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Location used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export const validateSchema = (value, schema, path = "$") => {
+  const errors = [];
+  if (!schema) return errors;
+
+  if (schema.anyOf) {
+    const branchErrors = schema.anyOf.map(branch => validateSchema(value, branch, path));
+    if (branchErrors.every(list => list.length > 0)) {
+      // Report the closest branch so repair prompts stay specific
+      const closest = branchErrors.reduce((best, list) => (list.length < best.length ? list : best));
+      errors.push(...closest);
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(" or ")}, got ${describeType(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: expected at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  } else if (value && typeof value === "object") {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+    if (schema.additionalProperties === false) {
+      Object.keys(value)
+        .filter(key => !(key in (schema.properties || {})))
+        .forEach(key => errors.push(`${path}.${key}: is not allowed`));
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Parse model output into schema-valid JSON
+ * - direct: the whole (fence-stripped) response is valid JSON
+ * - extracted: JSON had to be cut out of prose and/or have trailing commas removed
+ * @param {string} response - Raw model output
+ * @param {Object} schema - JSON schema the result must satisfy
+ * @returns {Object} { data, source }
+ * @throws {StructuredOutputError}
+ */
+export const parseStructured = (response, schema) => {
+  const text = stripFences(response);
+  let errors = [];
+
+  // 1. Plain JSON
+  const direct = tryParse(text);
+  if (direct.ok) {
+    errors = validateSchema(direct.value, schema);
+    if (errors.length === 0) {
+      return { data: direct.value, source: "direct" };
+    }
+  }
+
+  // 2. Tolerant extraction from the surrounding text
+  for (const candidate of extractCandidates(text, schema)) {
+    const extracted = tryParse(candidate);
+    if (!extracted.ok) {
+      errors = [`$: invalid JSON (${extracted.error})`];
+      continue;
+    }
+    const candidateErrors = validateSchema(extracted.value, schema);
+    if (candidateErrors.length === 0) {
+      return { data: extracted.value, source: "extracted" };
+    }
+    errors = candidateErrors;
+  }
+
+  if (errors.length === 0) {
+    errors = ["$: no JSON found in response"];
+  }
+
+  throw new StructuredOutputError("Model output did not match schema", { raw: response, errors });
+};
+
+/**
+ * Call the model and return schema-valid JSON, re-prompting with the
+ * validation errors when the first answer can't be used.
+ * Schema-valid answers that echo the prompt's instructions or carry
+ * injected directives are treated like validation failures.
+ * Provider failures on the first call are rethrown untouched so agents can
+ * keep their own error handling; a failed repair call ends the loop.
+ * @param {string} prompt - Prompt to send
+ * @param {Object} schema - JSON schema the result must satisfy
+ * @param {Object} options - callHuggingFace options plus:
+ * @param {number} options.maxRepairs - Repair prompts after the first answer (default: 1)
+ * @param {boolean} options.checkOutput - Run the output post-check (default: true)
+ * @returns {Promise<Object>} { data, source: direct|extracted|repaired, raw, attempts }
+ * @throws {StructuredOutputError}
+ */
+export const generateStructured = async (prompt, schema, options = {}) => {
+  const { maxRepairs = 1, checkOutput: runOutputCheck = true, ...callOptions } = options;
+
+  let raw = await callHuggingFace(prompt, callOptions);
+  let attempts = 1;
+  let errors;
+
+  for (let repair = 0; repair <= maxRepairs; repair++) {
+    try {
+      const { data, source } = parseStructured(raw, schema);
+      errors = runOutputCheck ? checkOutput(raw, prompt) : [];
+      if (errors.length === 0) {
+        return {
+          data,
+          source: repair > 0 ? "repaired" : source,
+          raw,
+          attempts,
+        };
+      }
+    } catch (error) {
+      if (!(error instanceof StructuredOutputError)) throw error;
+      errors = error.errors;
+    }
+
+    if (repair === maxRepairs) break;
+
+    try {
+      raw = await callHuggingFace(buildRepairPrompt(prompt, raw, errors, schema), callOptions);
+      attempts++;
+    } catch (error) {
+      console.warn(`Repair prompt failed: ${error.message}`);
+      break;
+    }
+  }
+
+  throw new StructuredOutputError("Model output did not match schema", { raw, errors, attempts });
+};
+
+/**
+ * Build the follow-up prompt that asks the model to fix its answer
+ * @private
+ */
+const buildRepairPrompt = (originalPrompt, raw, errors, schema) => {
+  return `${originalPrompt}
+
+Your previous response could not be used:
+${errors.map(error => `- ${error}`).join("\n")}
+
+Previous response:
+${fenceUserContent(sanitizeUserText(raw, 1500).text, "previous_response")}
+
+Respond again with ONLY valid JSON matching this schema, no other text:
+${JSON.stringify(schema)}`;
+};
+
+/**
+ * @private
+ */
+const stripFences = (response) => {
+  const text = response?.toString?.() ? response.toString() : String(response);
+  return text
+    .replace(/```json\n?/gi, "")
+    .replace(/```\n?/g, "")
+    .trim();
+};
+
+/**
+ * @private
+ */
+const tryParse = (text) => {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+};
+
+/**
+ * Find balanced JSON blocks in free text. Blocks opening with the schema's
+ * top-level bracket come first; each block is also offered with trailing
+ * commas and smart quotes cleaned up.
+ * @private
+ */
+const extractCandidates = (text, schema) => {
+  const preferred = schema?.type === "array" ? "[" : "{";
+  const openers = preferred === "[" ? ["[", "{"] : ["{", "["];
+  const candidates = [];
+
+  openers.forEach(opener => {
+    let start = text.indexOf(opener);
+    while (start !== -1) {
+      const block = readBalanced(text, start);
+      if (block) {
+        candidates.push(block, cleanJson(block));
+      }
+      start = text.indexOf(opener, start + 1);
+      // Only the first few blocks are worth trying
+      if (candidates.length >= 8) break;
+    }
+  });
+
+  return [...new Set(candidates)];
+};
+
+/**
+ * Read from an opening bracket to its matching close, skipping strings
+ * @private
+ */
+const readBalanced = (text, start) => {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === "\"") inString = false;
+      continue;
+    }
+
+    if (char === "\"") inString = true;
+    else if (char === "{" || char === "[") stack.push(char);
+    else if (char === "}" || char === "]") {
+      const open = stack.pop();
+      if ((char === "}" && open !== "{") || (char === "]" && open !== "[")) return null;
+      if (stack.length === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @private
+ */
+const cleanJson = (block) => {
+  return block
+    .replace(/[“”]/g, "\"")
+    .replace(/,\s*([}\]])/g, "$1");
+};
+
+/**
+ * @private
+ */
+const matchesType = (value, type) => {
+  switch (type) {
+    case "array": return Array.isArray(value);
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "integer": return Number.isInteger(value);
+    case "number": return typeof value === "number" && !isNaN(value);
+    case "null": return value === null;
+    default: return typeof value === type;
+  }
+};
+
+/**
+ * @private
+ */
+const describeType = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+export default { generateStructured, parseStructured, validateSchema, StructuredOutputError };
@@ -0,0 +1,61 @@
+import { pricing } from "../config/llm.js";
+
+/**
+ * Estimate the cost of a call from configured per-1K-token prices
+ * @param {string} provider - Provider name
+ * @param {string} model - Model id
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {number} Estimated cost (0 when no price is configured)
+ */
+export const estimateCost = (provider, model, usage) => {
+  const price = pricing[`${provider}:${model}`] || pricing[provider];
+  if (!price || !usage) return 0;
+
+  const cost = ((usage.promptTokens || 0) / 1000) * (price.prompt || 0)
+    + ((usage.completionTokens || 0) / 1000) * (price.completion || 0);
+  return parseFloat(cost.toFixed(6));
+};
+
+/**
+ * Aggregate LLM call records (as reported through onCall) into totals.
+ * Cached calls are counted but cost no tokens.
+ * @param {Array} calls - [{ agent, provider, model, usage, cached }]
+ * @returns {Object} Totals plus a per-agent breakdown
+ */
+export const summarizeUsage = (calls = []) => {
+  const emptyTotals = () => ({
+    calls: 0,
+    cachedCalls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    estimatedCost: 0,
+  });
+
+  const add = (totals, call) => {
+    totals.calls++;
+    if (call.cached) {
+      totals.cachedCalls++;
+      return;
+    }
+    const usage = call.usage || {};
+    totals.promptTokens += usage.promptTokens || 0;
+    totals.completionTokens += usage.completionTokens || 0;
+    totals.totalTokens += usage.totalTokens || (usage.promptTokens || 0) + (usage.completionTokens || 0);
+    totals.estimatedCost = parseFloat(
+      (totals.estimatedCost + estimateCost(call.provider, call.model, usage)).toFixed(6)
+    );
+  };
+
+  const summary = { ...emptyTotals(), byAgent: {} };
+  calls.forEach(call => {
+    const agent = call.agent || "unknown";
+    summary.byAgent[agent] = summary.byAgent[agent] || emptyTotals();
+    add(summary, call);
+    add(summary.byAgent[agent], call);
+  });
+
+  return summary;
+};
+
+export default { estimateCost, summarizeUsage };
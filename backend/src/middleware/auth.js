@@ -30,3 +30,12 @@ export const auth = async (req, res, next) => {
     });
     }
 };
+
+// Use after auth: only admins may continue
+export const requireAdmin = (req, res, next) => {
+    if (req.user?.role !== "admin") {
+        return res.status(403).json({ message: "Admin access required" });
+    }
+
+    next();
+};
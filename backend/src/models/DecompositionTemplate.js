@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+const decompositionTemplateSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true, // e.g. 'language-learning'; replaces a built-in with the same key
+        },
+        name: {
+            type: String,
+            required: true,
+        },
+        description: {
+            type: String,
+            default: '',
+        },
+        goalTypes: {
+            type: [String],
+            default: [],
+        },
+        keywords: {
+            type: [String],
+            default: [],
+        },
+        // [{ title, tasks: [{ id, description, estimatedHours, priority, dependsOn, ... }] }]
+        milestones: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+        useAsExample: {
+            type: Boolean,
+            default: true,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {timestamps: true},
+);
+
+const DecompositionTemplate = mongoose.model("DecompositionTemplate", decompositionTemplateSchema);
+
+export default DecompositionTemplate;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { GOAL_TYPE_KEYS } from "../agents/goalTypes.js";
 
 const goalSchema = new mongoose.Schema(
     {
@@ -15,10 +16,23 @@ const goalSchema = new mongoose.Schema(
             type: String,
             default: 'not specified',
         },
+        // Concrete date resolved from the deadline phrase
+        deadline: {
+            phrase: String,
+            date: Date,
+            confidence: Number,
+            timeZone: String,
+        },
         subject: {
             type: String,
             required: true,
         },
+        // Kind of goal; decides the agents' type-specific rules
+        goalType: {
+            type: String,
+            enum: GOAL_TYPE_KEYS,
+            default: 'general',
+        },
         complexity: {
             type: String,
             enum: ['low', 'medium', 'high'],
@@ -28,6 +42,20 @@ const goalSchema = new mongoose.Schema(
             type: String,
             default: '',
         },
+        // SMART grade: overall 1-5 score, rating and { criterion: { score, explanation } }
+        smart: {
+            score: Number,
+            rating: {
+                type: String,
+                enum: ['strong', 'fair', 'weak'],
+            },
+            criteria: mongoose.Schema.Types.Mixed,
+        },
+        // Suggested version of the goal that meets the SMART criteria
+        rewrittenGoal: {
+            type: String,
+            default: '',
+        },
         status: {
             type: String,
             enum: ['active', 'completed', 'abandoned'],
@@ -37,6 +65,8 @@ const goalSchema = new mongoose.Schema(
     {timestamps: true},
 );
 
+goalSchema.index({ userId: 1, goalType: 1 });
+
 const Goal = mongoose.model("Goal", goalSchema)
 
 export default Goal;
\ No newline at end of file
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const llmCacheSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        provider: {
+            type: String,
+            required: true,
+        },
+        model: {
+            type: String,
+            required: true,
+        },
+        content: {
+            type: String,
+            required: true,
+        },
+        usage: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {timestamps: true},
+);
+
+// Let MongoDB drop entries once they expire
+llmCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LlmCache = mongoose.model("LlmCache", llmCacheSchema);
+
+export default LlmCache;
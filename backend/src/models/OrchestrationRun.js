@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+
+// One plan-generation run; each finished step's output is checkpointed so a
+// failed run can resume without repeating successful agent calls
+const orchestrationRunSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        goalText: {
+            type: String,
+            required: true,
+        },
+        // Registered pipeline the run follows (see src/pipeline)
+        pipeline: {
+            type: String,
+            default: 'standard',
+        },
+        options: {
+            userContext: {
+                type: mongoose.Schema.Types.Mixed,
+                default: {},
+            },
+            schedulingPreferences: {
+                type: mongoose.Schema.Types.Mixed,
+                default: {},
+            },
+            timeZone: {
+                type: String,
+                default: 'UTC',
+            },
+            // Estimate calibration at the time the run started
+            calibration: {
+                type: mongoose.Schema.Types.Mixed,
+                default: [],
+            },
+            // Set when the client asked to be questioned about ambiguous goals
+            clarify: {
+                type: mongoose.Schema.Types.Mixed,
+                default: null,
+            },
+        },
+        status: {
+            type: String,
+            enum: ['running', 'needs_input', 'completed', 'failed'],
+            default: 'running',
+        },
+        // Stage outputs by key: analyzedGoal, tasks, scoredTasks, schedule, ...
+        checkpoints: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        // Questions a needs_input run waits on, and the answers it continued with
+        clarification: {
+            questions: {
+                type: [mongoose.Schema.Types.Mixed],
+                default: [],
+            },
+            answers: {
+                type: mongoose.Schema.Types.Mixed,
+                default: null,
+            },
+            answeredAt: {
+                type: Date,
+                default: null,
+            },
+        },
+        lastCompletedStep: {
+            type: String,
+            default: null,
+        },
+        failedAt: {
+            type: String,
+            default: null,
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        goalId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Goal",
+        },
+        planId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Plan",
+        },
+    },
+    {timestamps: true, minimize: false},
+);
+
+orchestrationRunSchema.index({ userId: 1, createdAt: -1 });
+
+const OrchestrationRun = mongoose.model("OrchestrationRun", orchestrationRunSchema);
+
+export default OrchestrationRun;
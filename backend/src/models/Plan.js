@@ -39,6 +39,8 @@ const planSchema = new mongoose.Schema(
             preferredStudyTimes: [String],
             bufferTimePercent: Number,
             startDate: String,
+            deadlineDate: String, // YYYY-MM-DD parsed from the goal, null without one
+            goalType: String, // picks the type-specific scheduling rules
         },
         metadata: {
             type: mongoose.Schema.Types.Mixed,
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+// Queued study plan generation, picked up by the in-process worker
+const planJobSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['queued', 'running', 'completed', 'failed'],
+            default: 'queued',
+        },
+        input: {
+            goalText: {
+                type: String,
+                required: true,
+            },
+            preferences: {
+                type: mongoose.Schema.Types.Mixed,
+                default: {},
+            },
+            pipeline: {
+                type: String, // default pipeline when unset
+            },
+            bypassCache: {
+                type: Boolean,
+                default: false,
+            },
+        },
+        currentStep: {
+            type: String, // STEP_n of the pipeline while running
+            default: null,
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        result: {
+            goalId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Goal",
+            },
+            taskIds: [{
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Task",
+            }],
+            planId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Plan",
+            },
+            executionTime: Number,
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+        // Orchestration run behind the job, saved when it starts; a requeued job resumes it
+        runId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "OrchestrationRun",
+        },
+        startedAt: Date,
+        // Refreshed by the worker while the job runs; requeued once it stops
+        heartbeatAt: Date,
+        finishedAt: Date,
+    },
+    {timestamps: true},
+);
+
+planJobSchema.index({ status: 1, createdAt: 1 });
+
+// Finished jobs are kept for a week
+planJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const PlanJob = mongoose.model("PlanJob", planJobSchema);
+
+export default PlanJob;
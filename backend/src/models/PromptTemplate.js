@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+const promptTemplateSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true, // e.g. 'taskDecomposer.decompose'
+        },
+        version: {
+            type: String,
+            required: true,
+        },
+        template: {
+            type: String,
+            required: true,
+        },
+        description: {
+            type: String,
+            default: '',
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {timestamps: true},
+);
+
+promptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+
+const PromptTemplate = mongoose.model("PromptTemplate", promptTemplateSchema);
+
+export default PromptTemplate;
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { PRIORITY_FACTORS } from "../utils/priorityModel.js";
+import { RESOURCE_TYPES, TASK_LEVELS } from "../utils/taskTree.js";
 
 const taskSchema = new mongoose.Schema(
     {
@@ -20,17 +22,80 @@ const taskSchema = new mongoose.Schema(
             type: Number,
             required: true,
         },
+        // The decomposer's own estimate, and the correction applied to it
+        // from the user's logged time (1 = not rescaled)
+        rawEstimatedHours: {
+            type: Number,
+        },
+        calibrationFactor: {
+            type: Number,
+            default: 1,
+        },
+        // Time the user logged on the task
+        actualHours: {
+            type: Number,
+            min: 0,
+            default: 0,
+        },
+        timeLogs: [{
+            hours: {
+                type: Number,
+                required: true,
+            },
+            note: {
+                type: String,
+                default: '',
+            },
+            loggedAt: {
+                type: Date,
+                default: Date.now,
+            },
+        }],
         priority: {
             type: String,
             enum: ['low', 'medium', 'high'],
             default: 'medium',
         },
+        // Final score: llmScore and modelScore blended by llmWeight
         priorityScore: {
             type: Number,
             min: 1,
             max: 10,
             default: 5,
         },
+        llmScore: {
+            type: Number,
+            min: 1,
+            max: 10,
+            default: null,
+        },
+        modelScore: {
+            type: Number,
+            min: 1,
+            max: 10,
+        },
+        // Share of llmScore in priorityScore (0 when scored by the model alone)
+        llmWeight: {
+            type: Number,
+            min: 0,
+            max: 1,
+            default: 0,
+        },
+        // Priority model breakdown: modelScore is 1 plus every factor's points
+        scoreFactors: [{
+            _id: false,
+            factor: {
+                type: String,
+                enum: PRIORITY_FACTORS,
+            },
+            value: Number,
+            weight: Number,
+            points: Number,
+            detail: {
+                type: String,
+                default: '',
+            },
+        }],
         order: {
             type: Number,
             required: true,
@@ -40,6 +105,64 @@ const taskSchema = new mongoose.Schema(
             enum: ['pending', 'in-progress', 'completed', 'missed'],
             default: 'pending',
         },
+        // Hierarchy: milestone → task → subtask. Parents are not scheduled;
+        // their estimatedHours, progress and status roll up from their subtasks
+        parentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Task",
+            default: null,
+        },
+        level: {
+            type: String,
+            enum: TASK_LEVELS,
+            default: 'task',
+        },
+        // Tasks that must be completed first; always acyclic. On leaves this
+        // holds every leaf prerequisite, including those inherited from parents
+        dependsOn: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Task",
+        }],
+        // Definition of done; progress of a work item follows this checklist
+        acceptanceCriteria: [{
+            text: {
+                type: String,
+                required: true,
+            },
+            done: {
+                type: Boolean,
+                default: false,
+            },
+            checkedAt: {
+                type: Date,
+            },
+        }],
+        deliverables: [{
+            type: String,
+        }],
+        resources: [{
+            _id: false,
+            type: {
+                type: String,
+                enum: RESOURCE_TYPES,
+            },
+            suggestion: {
+                type: String,
+                default: '',
+            },
+        }],
+        // Percent of the estimated hours completed
+        progress: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 0,
+        },
+        // Deliverable that closes a milestone (project goals)
+        milestone: {
+            type: Boolean,
+            default: false,
+        },
         scoreReasoning: {
             type: String,
             default: '',
@@ -55,6 +178,8 @@ const taskSchema = new mongoose.Schema(
     {timestamps: true},
 );
 
+taskSchema.index({ goalId: 1, parentId: 1 });
+
 const Task = mongoose.model("Task", taskSchema)
 
 export default Task;
\ No newline at end of file
@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+
+// Persisted orchestration run for debugging: the execution log, every model
+// call with its prompt and raw response, and how each agent's output was obtained
+const traceSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        kind: {
+            type: String,
+            enum: ['plan', 'adjustment', 'preview', 'redecomposition'],
+            required: true,
+        },
+        runId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "OrchestrationRun",
+        },
+        goalId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Goal",
+        },
+        goalText: {
+            type: String,
+        },
+        status: {
+            type: String,
+            enum: ['completed', 'needs_input', 'failed'],
+            required: true,
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+        durationMs: {
+            type: Number,
+            default: 0,
+        },
+        // Orchestrator execution log entries
+        steps: {
+            type: [mongoose.Schema.Types.Mixed],
+            default: [],
+        },
+        // Milliseconds per step, e.g. { STEP_1: 1200, REFLECTION: 900 }
+        timings: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        llmCalls: [{
+            agent: String,
+            provider: String,
+            model: String,
+            prompt: String,
+            response: String,
+            usage: mongoose.Schema.Types.Mixed,
+            attempts: Number,
+            cached: Boolean,
+            durationMs: Number,
+        }],
+        agents: [{
+            agent: String, // goalAnalyzer, taskDecomposer, ...
+            name: String,
+            outputSource: String, // direct, extracted, repaired or fallback
+            prompt: mongoose.Schema.Types.Mixed, // { name, version, source }
+            inputFlags: [String],
+            error: String,
+        }],
+        usedFallback: {
+            type: Boolean,
+            default: false,
+        },
+    },
+    {timestamps: true, minimize: false},
+);
+
+traceSchema.index({ userId: 1, createdAt: -1 });
+traceSchema.index({ goalId: 1, createdAt: -1 });
+traceSchema.index({ 'agents.agent': 1, usedFallback: 1, createdAt: -1 });
+
+// Traces carry full prompts and responses, so they are kept for 30 days
+traceSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const Trace = mongoose.model("Trace", traceSchema);
+
+export default Trace;
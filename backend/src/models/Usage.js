@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// One document per user, day, agent and provider/model; counters are $inc'ed
+const usageSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        day: {
+            type: String, // YYYY-MM-DD (UTC)
+            required: true,
+        },
+        agent: {
+            type: String,
+            default: 'unknown',
+        },
+        provider: {
+            type: String,
+            required: true,
+        },
+        model: {
+            type: String,
+            required: true,
+        },
+        calls: {
+            type: Number,
+            default: 0,
+        },
+        cachedCalls: {
+            type: Number,
+            default: 0,
+        },
+        promptTokens: {
+            type: Number,
+            default: 0,
+        },
+        completionTokens: {
+            type: Number,
+            default: 0,
+        },
+        totalTokens: {
+            type: Number,
+            default: 0,
+        },
+        estimatedCost: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {timestamps: true},
+);
+
+usageSchema.index({ userId: 1, day: 1, agent: 1, provider: 1, model: 1 }, { unique: true });
+
+const Usage = mongoose.model("Usage", usageSchema);
+
+export default Usage;
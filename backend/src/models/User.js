@@ -15,6 +15,16 @@ const userSchema = new mongoose.Schema(
             type: String,
             required: true,
         },
+        role: {
+            type: String,
+            enum: ['user', 'admin'],
+            default: 'user',
+        },
+        // IANA zone used to resolve deadlines like "tomorrow"
+        timeZone: {
+            type: String,
+            default: 'UTC',
+        },
         isVerified: {
             type: Boolean,
             default: false,
@@ -0,0 +1,157 @@
+import { pipelineConfig } from '../config/pipeline.js';
+import { defaultAgents, defaultPipelines, defaultStages } from './stages.js';
+
+// Context key every pipeline starts from
+const INITIAL_KEYS = ['goalText'];
+// Keys a plan pipeline must produce: the plan's goal, tasks and schedule
+export const PLAN_OUTPUTS = ['analyzedGoal', 'scoredTasks', 'schedule'];
+
+// agent key -> factory
+const agents = new Map();
+// stage name -> stage definition
+const stages = new Map();
+// pipeline name -> { name, steps }
+const pipelines = new Map();
+
+/**
+ * Register an agent so stages can use it. Replaces an agent with the same key.
+ * @param {string} key - Agent key, also used for LLM call records and usage
+ * @param {Function} factory - Returns a new agent instance
+ */
+export const registerAgent = (key, factory) => {
+  if (!key || typeof factory !== 'function') {
+    throw new Error(`Invalid agent registration ${key || '(unnamed)'}`);
+  }
+  agents.set(key, factory);
+};
+
+/**
+ * One fresh instance of every registered agent
+ * @returns {Object} { agentKey: instance }
+ */
+export const createAgents = () => {
+  return Object.fromEntries([...agents.entries()].map(([key, factory]) => [key, factory()]));
+};
+
+/**
+ * Register a pipeline stage. Replaces a stage with the same name.
+ * @param {Object} stage
+ * @param {string} stage.name - Stage name used in pipeline definitions
+ * @param {string} stage.agent - Registered agent key
+ * @param {string} stage.input - Main context key the stage reads (replaceable on resume)
+ * @param {Array<string>} stage.requires - Further context keys it reads
+ * @param {string} stage.output - Context / checkpoint key it writes
+ * @param {Object} stage.inputSchema - Schema for a replacement input on resume (optional)
+ * @param {string} stage.startMessage - Execution log message when the stage starts
+ * @param {Function} stage.run - ({ agent, context, options, llmOptions, orchestrator }) => output
+ * @param {Function} stage.check - output => problem message or null; a problem fails the run (optional)
+ * @param {Function} stage.clarify - (output, { agent, options }) => questions; with options.clarify, questions pause the run (optional)
+ * @param {Function} stage.summarize - (output, agent) => { message, data } for the log (optional)
+ */
+export const registerStage = (stage) => {
+  const missing = ['name', 'agent', 'input', 'output'].filter(field => !stage?.[field]);
+  if (missing.length > 0 || typeof stage.run !== 'function') {
+    throw new Error(`Invalid pipeline stage ${stage?.name || '(unnamed)'}: needs ${[...missing, 'run'].join(', ')}`);
+  }
+  stages.set(stage.name, { requires: [], ...stage });
+};
+
+/**
+ * @param {string} name - Stage name
+ * @returns {Object} Stage definition
+ */
+export const getStage = (name) => {
+  const stage = stages.get(name);
+  if (!stage) {
+    throw new Error(`Unknown pipeline stage ${name}`);
+  }
+  return stage;
+};
+
+/**
+ * Register a pipeline after checking its contracts: every agent is
+ * registered, every stage's inputs are produced by an earlier stage, and
+ * the plan outputs are all produced.
+ * @param {string} name - Pipeline name
+ * @param {Array<string>} stageNames - Stage names in run order
+ * @returns {Object} { name, steps }
+ */
+export const registerPipeline = (name, stageNames = []) => {
+  const available = new Set(INITIAL_KEYS);
+
+  const steps = stageNames.map((stageName, index) => {
+    const stage = getStage(stageName);
+    if (!agents.has(stage.agent)) {
+      throw new Error(`Pipeline ${name}: stage ${stageName} uses unknown agent ${stage.agent}`);
+    }
+
+    const unmet = [stage.input, ...stage.requires].filter(key => !available.has(key));
+    if (unmet.length > 0) {
+      throw new Error(`Pipeline ${name}: stage ${stageName} needs ${unmet.join(', ')} from an earlier stage`);
+    }
+    available.add(stage.output);
+
+    return {
+      step: `STEP_${index + 1}`,
+      stage: stage.name,
+      agent: stage.agent,
+      input: stage.input,
+      requires: stage.requires,
+      output: stage.output
+    };
+  });
+
+  const missing = PLAN_OUTPUTS.filter(key => !available.has(key));
+  if (missing.length > 0) {
+    throw new Error(`Pipeline ${name}: no stage produces ${missing.join(', ')}`);
+  }
+
+  const pipeline = { name, steps };
+  pipelines.set(name, pipeline);
+  return pipeline;
+};
+
+/**
+ * @param {string} name - Pipeline name (default: PLAN_PIPELINE or "standard")
+ * @returns {Object} { name, steps: [{ step, stage, agent, input, requires, output }] }
+ */
+export const getPipeline = (name = pipelineConfig.defaultPipeline) => {
+  const pipeline = pipelines.get(name);
+  if (!pipeline) {
+    throw new Error(`Unknown pipeline ${name}`);
+  }
+  return pipeline;
+};
+
+/**
+ * @param {string} name - Pipeline name
+ * @returns {boolean} Whether the pipeline is registered
+ */
+export const hasPipeline = (name) => pipelines.has(name);
+
+/**
+ * Every registered pipeline with its stages in order
+ * @returns {Array} [{ name, isDefault, stages: [{ step, stage, agent, output }] }]
+ */
+export const listPipelines = () => {
+  return [...pipelines.values()].map(({ name, steps }) => ({
+    name,
+    isDefault: name === pipelineConfig.defaultPipeline,
+    stages: steps.map(({ step, stage, agent, output }) => ({ step, stage, agent, output }))
+  }));
+};
+
+Object.entries(defaultAgents).forEach(([key, factory]) => registerAgent(key, factory));
+defaultStages.forEach(stage => registerStage(stage));
+Object.entries(defaultPipelines).forEach(([name, stageNames]) => registerPipeline(name, stageNames));
+
+export default {
+  registerAgent,
+  createAgents,
+  registerStage,
+  getStage,
+  registerPipeline,
+  getPipeline,
+  hasPipeline,
+  listPipelines
+};
@@ -0,0 +1,171 @@
+/**
+ * Built-in agents, pipeline stages and pipelines.
+ * A stage runs one agent: it reads its `input` (and any `requires` keys)
+ * from the run context and writes its `output` key, which is also the
+ * checkpoint key. Pipelines are ordered stage names; every plan pipeline
+ * must end up producing analyzedGoal, scoredTasks and schedule.
+ */
+import { GoalAnalyzerAgent } from '../agents/goalAnalyzer.js';
+import { PriorityScorerAgent } from '../agents/priorityScorer.js';
+import { ReflectionAgent } from '../agents/reflector.js';
+import { SchedulerAgent } from '../agents/scheduler.js';
+import { TaskDecomposerAgent } from '../agents/taskDecomposer.js';
+import { taskConfig } from '../config/tasks.js';
+import { calibrateTasks, findCalibrationFactor } from '../utils/estimateCalibration.js';
+import { getLeafTasks, replaceLeafTasks, rollUpTasks, TASK_LEVELS } from '../utils/taskTree.js';
+
+// Shape of hand-edited tasks handed in when a run is resumed at a stage
+const taskInputSchema = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    properties: {
+      description: { type: 'string' },
+      estimatedHours: { type: 'number', minimum: 0 },
+      priority: { enum: ['low', 'medium', 'high'] },
+      priorityScore: { type: 'number', minimum: 1, maximum: 10 },
+      level: { enum: TASK_LEVELS },
+      dependsOn: { type: 'array' }
+    },
+    required: ['description', 'estimatedHours']
+  }
+};
+
+const scoredTaskInputSchema = {
+  ...taskInputSchema,
+  items: { ...taskInputSchema.items, required: ['description', 'estimatedHours', 'priorityScore'] }
+};
+
+// Agent key -> factory; keys match the `agent` of LLM call records
+export const defaultAgents = {
+  goalAnalyzer: () => new GoalAnalyzerAgent(),
+  taskDecomposer: () => new TaskDecomposerAgent(),
+  priorityScorer: () => new PriorityScorerAgent(),
+  scheduler: () => new SchedulerAgent(),
+  reflector: () => new ReflectionAgent()
+};
+
+// Only leaves are scored; parents take the highest score below them
+const scoreLeaves = async (tasks, score) => rollUpTasks(replaceLeafTasks(tasks, await score(getLeafTasks(tasks))));
+
+const summarizeScores = (scoredTasks, agent) => ({
+  message: 'Task priorities assigned',
+  data: {
+    avgScore: agent.getAverageScore(getLeafTasks(scoredTasks)),
+    scores: scoredTasks.map(({ description, priorityScore, llmScore, modelScore }) => ({ description, priorityScore, llmScore, modelScore }))
+  }
+});
+
+export const defaultStages = [
+  {
+    name: 'analyzeGoal',
+    agent: 'goalAnalyzer',
+    input: 'goalText',
+    output: 'analyzedGoal',
+    inputSchema: { type: 'string' },
+    startMessage: 'Calling Goal Analyzer Agent',
+    run: ({ agent, context, options, llmOptions }) => agent.analyzeGoal(context.goalText, llmOptions, {
+      now: options.referenceDate,
+      timeZone: options.timeZone
+    }),
+    check: (analyzedGoal) => (analyzedGoal ? null : 'Goal analysis failed'),
+    clarify: (analyzedGoal, { agent, options }) => agent.findMissingInfo(analyzedGoal, options.clarify),
+    summarize: (analyzedGoal) => ({
+      message: analyzedGoal.smart
+        ? `Goal analysis complete (SMART ${analyzedGoal.smart.score}/5, ${analyzedGoal.smart.rating})`
+        : 'Goal analysis complete',
+      data: { analyzedGoal }
+    })
+  },
+  {
+    name: 'decomposeTasks',
+    agent: 'taskDecomposer',
+    input: 'analyzedGoal',
+    output: 'tasks',
+    inputSchema: { type: 'object', required: ['originalGoal', 'subject'] },
+    startMessage: 'Calling Task Decomposer Agent',
+    // Estimates are rescaled by how long the user's past tasks actually took
+    run: async ({ agent, context, options, llmOptions }) => calibrateTasks(
+      await agent.decompose(context.analyzedGoal, llmOptions, {
+        splitAboveHours: taskConfig.splitAboveHours,
+        maxDepth: taskConfig.maxSplitDepth
+      }),
+      findCalibrationFactor(options.calibration, context.analyzedGoal, taskConfig.calibration).factor
+    ),
+    check: (tasks) => (tasks?.length > 0 ? null : 'Task decomposition produced no tasks'),
+    summarize: (tasks) => {
+      const milestoneCount = tasks.filter(task => task.level === 'milestone').length;
+      const leaves = getLeafTasks(tasks);
+      const taskCount = leaves.length;
+      const calibrationFactor = leaves[0]?.calibrationFactor ?? 1;
+      return {
+        message: (milestoneCount > 0
+          ? `Generated ${taskCount} tasks in ${milestoneCount} milestones`
+          : `Generated ${taskCount} tasks`)
+          + (calibrationFactor !== 1 ? ` (estimates ×${calibrationFactor} from logged time)` : ''),
+        data: {
+          taskCount,
+          milestoneCount,
+          calibrationFactor,
+          tasks: tasks.map(({ description, estimatedHours, priority, order, level }) => ({ description, estimatedHours, priority, order, level }))
+        }
+      };
+    }
+  },
+  {
+    name: 'scoreTasks',
+    agent: 'priorityScorer',
+    input: 'tasks',
+    requires: ['analyzedGoal'],
+    output: 'scoredTasks',
+    inputSchema: taskInputSchema,
+    startMessage: 'Calling Priority Scorer Agent',
+    run: ({ agent, context, options, llmOptions, orchestrator }) => scoreLeaves(context.tasks, (leaves) => agent.scoreTasks(
+      leaves,
+      orchestrator.buildUserContext(options.userContext, context.analyzedGoal),
+      llmOptions
+    )),
+    summarize: summarizeScores
+  },
+  {
+    name: 'scoreTasksByRules',
+    agent: 'priorityScorer',
+    input: 'tasks',
+    requires: ['analyzedGoal'],
+    output: 'scoredTasks',
+    inputSchema: taskInputSchema,
+    startMessage: 'Applying rule-based priority scoring',
+    run: ({ agent, context, options, orchestrator }) => scoreLeaves(context.tasks, (leaves) => agent.scoreByRules(
+      leaves,
+      orchestrator.buildUserContext(options.userContext, context.analyzedGoal)
+    )),
+    summarize: summarizeScores
+  },
+  {
+    name: 'createSchedule',
+    agent: 'scheduler',
+    input: 'scoredTasks',
+    requires: ['analyzedGoal'],
+    output: 'schedule',
+    inputSchema: scoredTaskInputSchema,
+    startMessage: 'Calling Scheduler Agent',
+    // Parents are containers: only leaves take up time
+    run: ({ agent, context, options, llmOptions, orchestrator }) => agent.createSchedule(
+      getLeafTasks(context.scoredTasks),
+      orchestrator.buildSchedulingPreferences(options.schedulingPreferences, context.analyzedGoal),
+      llmOptions
+    ),
+    summarize: (schedule) => ({
+      message: 'Schedule created',
+      data: { days: schedule.summary.totalDays, hours: schedule.summary.totalHours }
+    })
+  }
+];
+
+export const defaultPipelines = {
+  // Goal Analyzer → Task Decomposer → Priority Scorer → Scheduler
+  standard: ['analyzeGoal', 'decomposeTasks', 'scoreTasks', 'createSchedule'],
+  // Deterministic priorities: one LLM call fewer per plan
+  'rule-scored': ['analyzeGoal', 'decomposeTasks', 'scoreTasksByRules', 'createSchedule']
+};
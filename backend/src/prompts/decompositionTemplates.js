@@ -0,0 +1,387 @@
+/**
+ * Built-in decomposition templates
+ * Curated milestone/task breakdowns for common kinds of goals, in the same
+ * shape the Task Decomposer asks the model for. A matching template replaces
+ * the generic fallback tasks and can be shown to the model as an example.
+ * {{subject}} in any text is replaced with the analyzed subject. Admins can
+ * override these or add new ones (see templateLibrary.js).
+ */
+export const defaultDecompositionTemplates = [
+  {
+    key: 'language-learning',
+    name: 'Language learning',
+    description: 'Learning to understand, speak and write a new language',
+    goalTypes: ['study'],
+    keywords: [
+      'language', 'vocabulary', 'grammar', 'fluent', 'fluency', 'conversational', 'spanish', 'french', 'german',
+      'italian', 'portuguese', 'japanese', 'chinese', 'mandarin', 'korean', 'arabic', 'russian', 'english'
+    ],
+    milestones: [
+      {
+        title: 'Foundations',
+        tasks: [
+          {
+            id: 't1',
+            description: 'Learn {{subject}} pronunciation and writing system',
+            estimatedHours: 3,
+            priority: 'high',
+            acceptanceCriteria: ['Can read any word aloud', 'Can write the alphabet or basic characters from memory'],
+            resources: [{ type: 'video', suggestion: '{{subject}} pronunciation guide for beginners' }]
+          },
+          {
+            id: 't2',
+            description: 'Learn the 300 most common {{subject}} words with spaced repetition',
+            estimatedHours: 6,
+            priority: 'high',
+            dependsOn: ['t1'],
+            acceptanceCriteria: ['Recognizes 90% of a 300-word deck', 'Reviews the deck daily'],
+            deliverables: ['Flashcard deck'],
+            resources: [{ type: 'tool', suggestion: 'Spaced repetition flashcard app' }]
+          },
+          {
+            id: 't3',
+            description: 'Learn {{subject}} present-tense grammar and basic sentence structure',
+            estimatedHours: 5,
+            priority: 'high',
+            dependsOn: ['t1'],
+            acceptanceCriteria: ['Can form questions and negations', 'Conjugates common verbs in the present tense'],
+            resources: [{ type: 'book', suggestion: 'Beginner {{subject}} grammar workbook' }]
+          }
+        ]
+      },
+      {
+        title: 'Comprehension',
+        tasks: [
+          {
+            id: 't4',
+            description: 'Listen to beginner {{subject}} podcasts or videos',
+            estimatedHours: 6,
+            priority: 'medium',
+            dependsOn: ['t2'],
+            acceptanceCriteria: ['Follows the gist of a slow beginner episode'],
+            resources: [{ type: 'video', suggestion: 'Comprehensible input videos in {{subject}}' }]
+          },
+          {
+            id: 't5',
+            description: 'Read graded {{subject}} texts',
+            estimatedHours: 5,
+            priority: 'medium',
+            dependsOn: ['t2', 't3'],
+            acceptanceCriteria: ['Reads a graded story without a dictionary for most sentences']
+          }
+        ]
+      },
+      {
+        title: 'Speaking and writing',
+        tasks: [
+          {
+            id: 't6',
+            description: 'Hold three short conversations in {{subject}} with a tutor or partner',
+            estimatedHours: 4,
+            priority: 'high',
+            dependsOn: ['t3', 't4'],
+            acceptanceCriteria: ['Introduces themselves and talks about daily life for 10 minutes']
+          },
+          {
+            id: 't7',
+            description: 'Write short texts in {{subject}} and have them corrected',
+            estimatedHours: 3,
+            priority: 'medium',
+            dependsOn: ['t3'],
+            acceptanceCriteria: ['Three texts of about 100 words corrected'],
+            deliverables: ['Corrected texts']
+          },
+          {
+            id: 't8',
+            description: 'Take a {{subject}} level self-assessment test',
+            estimatedHours: 2,
+            priority: 'medium',
+            dependsOn: ['t5', 't6', 't7'],
+            acceptanceCriteria: ['Knows their current level and weakest skill']
+          }
+        ]
+      }
+    ]
+  },
+  {
+    key: 'certification-exam',
+    name: 'Certification exam',
+    description: 'Preparing for a certification or standardized exam',
+    goalTypes: ['study'],
+    keywords: [
+      'exam', 'certification', 'certificate', 'certified', 'aws', 'azure', 'gcp', 'comptia', 'cissp', 'pmp',
+      'ccna', 'cfa', 'cpa', 'toefl', 'ielts', 'gre', 'gmat', 'sat', 'bar exam'
+    ],
+    milestones: [
+      {
+        title: 'Know the exam',
+        tasks: [
+          {
+            id: 't1',
+            description: 'Read the official {{subject}} exam guide and list every objective',
+            estimatedHours: 2,
+            priority: 'high',
+            acceptanceCriteria: ['All exam objectives listed with their weight'],
+            deliverables: ['Objective checklist'],
+            resources: [{ type: 'docs', suggestion: 'Official {{subject}} exam guide' }]
+          },
+          {
+            id: 't2',
+            description: 'Take a diagnostic {{subject}} practice test to find weak areas',
+            estimatedHours: 3,
+            priority: 'high',
+            dependsOn: ['t1'],
+            acceptanceCriteria: ['Score recorded per objective', 'Weakest objectives marked on the checklist']
+          }
+        ]
+      },
+      {
+        title: 'Cover the objectives',
+        tasks: [
+          {
+            id: 't3',
+            description: 'Study the weakest {{subject}} objectives with the official material',
+            estimatedHours: 8,
+            priority: 'high',
+            dependsOn: ['t2'],
+            acceptanceCriteria: ['Notes written for every weak objective'],
+            resources: [{ type: 'course', suggestion: 'Official or well-reviewed {{subject}} prep course' }]
+          },
+          {
+            id: 't4',
+            description: 'Review the remaining {{subject}} objectives',
+            estimatedHours: 6,
+            priority: 'medium',
+            dependsOn: ['t2'],
+            acceptanceCriteria: ['Every objective on the checklist reviewed once']
+          },
+          {
+            id: 't5',
+            description: 'Work through hands-on labs or practice problems per objective',
+            estimatedHours: 6,
+            priority: 'medium',
+            dependsOn: ['t3'],
+            acceptanceCriteria: ['At least one lab or problem set done per objective'],
+            resources: [{ type: 'exercises', suggestion: '{{subject}} practice labs or question bank' }]
+          }
+        ]
+      },
+      {
+        title: 'Exam readiness',
+        tasks: [
+          {
+            id: 't6',
+            description: 'Take two timed full-length {{subject}} practice exams and review every mistake',
+            estimatedHours: 6,
+            priority: 'high',
+            dependsOn: ['t4', 't5'],
+            acceptanceCriteria: ['Both exams finished within the time limit', 'Every wrong answer explained in notes']
+          },
+          {
+            id: 't7',
+            description: 'Drill missed questions and book the exam',
+            estimatedHours: 2,
+            priority: 'medium',
+            dependsOn: ['t6'],
+            acceptanceCriteria: ['Practice score above the passing mark', 'Exam date booked']
+          }
+        ]
+      }
+    ]
+  },
+  {
+    key: 'programming-language',
+    name: 'Programming language',
+    description: 'Learning a programming language from setup to a first project',
+    goalTypes: ['study', 'software_project'],
+    keywords: [
+      'programming', 'coding', 'python', 'javascript', 'typescript', 'java', 'kotlin', 'swift', 'rust', 'golang',
+      'ruby', 'php', 'c++', 'c#', 'scala', 'elixir', 'haskell'
+    ],
+    milestones: [
+      {
+        title: 'Setup and basics',
+        tasks: [
+          {
+            id: 't1',
+            description: 'Install {{subject}}, set up an editor and run a first program',
+            estimatedHours: 1,
+            priority: 'high',
+            acceptanceCriteria: ['A hello-world program runs from the editor and the terminal'],
+            resources: [{ type: 'docs', suggestion: 'Official {{subject}} getting started guide' }]
+          },
+          {
+            id: 't2',
+            description: 'Learn {{subject}} syntax: variables, types, control flow and functions',
+            estimatedHours: 6,
+            priority: 'high',
+            dependsOn: ['t1'],
+            acceptanceCriteria: ['Writes functions with loops and conditionals without looking up syntax'],
+            deliverables: ['Syntax cheat sheet'],
+            resources: [{ type: 'docs', suggestion: 'Official {{subject}} tutorial' }]
+          }
+        ]
+      },
+      {
+        title: 'Core concepts',
+        tasks: [
+          {
+            id: 't3',
+            description: 'Learn {{subject}} data structures and the standard library',
+            estimatedHours: 6,
+            priority: 'high',
+            dependsOn: ['t2'],
+            acceptanceCriteria: ['Uses lists, maps and sets appropriately', 'Knows where to find standard library docs']
+          },
+          {
+            id: 't4',
+            description: 'Learn error handling, modules and package management in {{subject}}',
+            estimatedHours: 4,
+            priority: 'medium',
+            dependsOn: ['t2'],
+            acceptanceCriteria: ['Splits code into modules', 'Installs and uses a third-party package']
+          },
+          {
+            id: 't5',
+            description: 'Solve ten small {{subject}} exercises',
+            estimatedHours: 5,
+            priority: 'medium',
+            dependsOn: ['t3'],
+            acceptanceCriteria: ['Ten exercises solved and passing their checks'],
+            resources: [{ type: 'exercises', suggestion: '{{subject}} exercise track on a practice site' }]
+          }
+        ]
+      },
+      {
+        title: 'Build something',
+        tasks: [
+          {
+            id: 't6',
+            description: 'Build a small command-line project in {{subject}}',
+            estimatedHours: 8,
+            priority: 'high',
+            dependsOn: ['t3', 't4'],
+            milestone: true,
+            acceptanceCriteria: ['The project runs end to end', 'Code is in a repository with a README'],
+            deliverables: ['Working project']
+          },
+          {
+            id: 't7',
+            description: 'Write tests for the project and refactor it',
+            estimatedHours: 3,
+            priority: 'medium',
+            dependsOn: ['t6'],
+            acceptanceCriteria: ['Core functions covered by tests', 'Tests pass after refactoring']
+          }
+        ]
+      }
+    ]
+  },
+  {
+    key: 'thesis-writing',
+    name: 'Thesis writing',
+    description: 'Writing a thesis, dissertation or long research paper',
+    goalTypes: ['writing'],
+    keywords: ['thesis', 'dissertation', 'capstone', 'research paper', 'literature review'],
+    milestones: [
+      {
+        title: 'Research',
+        tasks: [
+          {
+            id: 't1',
+            description: 'Define the {{subject}} research question and agree it with the supervisor',
+            estimatedHours: 3,
+            priority: 'high',
+            acceptanceCriteria: ['Research question written in one sentence', 'Supervisor approved it'],
+            deliverables: ['Research question']
+          },
+          {
+            id: 't2',
+            description: 'Collect and annotate the key sources',
+            estimatedHours: 4,
+            priority: 'high',
+            dependsOn: ['t1'],
+            acceptanceCriteria: ['At least 20 relevant sources with notes'],
+            deliverables: ['Annotated bibliography'],
+            resources: [{ type: 'tool', suggestion: 'Reference manager' }]
+          },
+          {
+            id: 't3',
+            description: 'Draft the literature review',
+            estimatedHours: 4,
+            priority: 'high',
+            dependsOn: ['t2'],
+            milestone: true,
+            acceptanceCriteria: ['Every section of the review drafted'],
+            deliverables: ['Literature review draft']
+          }
+        ]
+      },
+      {
+        title: 'Method and results',
+        tasks: [
+          {
+            id: 't4',
+            description: 'Draft the methodology chapter',
+            estimatedHours: 4,
+            priority: 'high',
+            dependsOn: ['t1'],
+            acceptanceCriteria: ['Method, data and limitations described'],
+            deliverables: ['Methodology draft']
+          },
+          {
+            id: 't5',
+            description: 'Run the analysis or experiments and record the results',
+            estimatedHours: 4,
+            priority: 'high',
+            dependsOn: ['t4'],
+            acceptanceCriteria: ['All planned analyses run', 'Results saved with figures and tables']
+          },
+          {
+            id: 't6',
+            description: 'Draft the results chapter',
+            estimatedHours: 4,
+            priority: 'high',
+            dependsOn: ['t5'],
+            milestone: true,
+            acceptanceCriteria: ['Every result reported with its figure or table'],
+            deliverables: ['Results draft']
+          }
+        ]
+      },
+      {
+        title: 'Finish',
+        tasks: [
+          {
+            id: 't7',
+            description: 'Draft the discussion, conclusion and introduction',
+            estimatedHours: 4,
+            priority: 'high',
+            dependsOn: ['t3', 't6'],
+            acceptanceCriteria: ['Discussion answers the research question', 'Introduction matches the final content']
+          },
+          {
+            id: 't8',
+            description: 'Revise the full draft with supervisor feedback',
+            estimatedHours: 4,
+            priority: 'medium',
+            dependsOn: ['t7'],
+            acceptanceCriteria: ['Every feedback comment addressed or answered']
+          },
+          {
+            id: 't9',
+            description: 'Format, proofread and submit',
+            estimatedHours: 3,
+            priority: 'medium',
+            dependsOn: ['t8'],
+            milestone: true,
+            acceptanceCriteria: ['Citations and formatting follow the required style', 'Submitted before the deadline'],
+            deliverables: ['Final thesis']
+          }
+        ]
+      }
+    ]
+  }
+];
+
+export default defaultDecompositionTemplates;
@@ -0,0 +1,146 @@
+/**
+ * Prompt-injection hardening
+ * User-supplied text is cleaned, length-limited and fenced inside
+ * <user_input> tags before it reaches a template; model output is checked
+ * for echoed instructions before it is accepted.
+ */
+
+export const INPUT_LIMITS = {
+  goal: 1000,
+  task: 300,
+  field: 120
+};
+
+// Phrases that try to take over the prompt, by flag name
+const INJECTION_PATTERNS = {
+  instruction_override: /\b(ignore|disregard|forget|override)\b[^.\n]{0,40}\b(previous|prior|above|earlier|all|system|these)\b[^.\n]{0,20}\b(instructions?|prompts?|rules?|directions?)\b/i,
+  role_hijack: /\b(you are now|act as|pretend to be|from now on you|new instructions?)\b/i,
+  prompt_exfiltration: /\b(reveal|print|show|repeat|output)\b[^.\n]{0,30}\b(system prompt|instructions|your prompt)\b/i,
+  output_steering: /\b(respond|reply|answer|return)\b[^.\n]{0,20}\b(only|exactly)\b[^.\n]{0,20}\b(with|as)\b/i,
+  delimiter_injection: /<\/?\s*user_input\b[^>]*>/i
+};
+
+/**
+ * Clean a piece of user text and flag suspected injection attempts
+ * @param {string} text - Raw user text
+ * @param {number} maxLength - Character limit (default: INPUT_LIMITS.goal)
+ * @returns {Object} { text, flags, truncated }
+ */
+export const sanitizeUserText = (text, maxLength = INPUT_LIMITS.goal) => {
+  const flags = [];
+  let cleaned = String(text ?? '')
+    // Control characters (keep newlines and tabs)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+    // Zero-width and bidi control characters used to hide text
+    .replace(/[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  Object.entries(INJECTION_PATTERNS).forEach(([flag, pattern]) => {
+    if (pattern.test(cleaned)) flags.push(flag);
+  });
+
+  // Nobody gets to close the fence early
+  cleaned = cleaned.replace(new RegExp(INJECTION_PATTERNS.delimiter_injection.source, 'gi'), '[removed]');
+
+  const truncated = cleaned.length > maxLength;
+  if (truncated) {
+    cleaned = cleaned.slice(0, maxLength).trimEnd() + '…';
+    flags.push('truncated');
+  }
+
+  return { text: cleaned, flags, truncated };
+};
+
+/**
+ * Wrap already-sanitized text in <user_input> delimiters
+ * @param {string} text - Sanitized text
+ * @param {string} name - Label for the block (goal, tasks, ...)
+ * @returns {string} Fenced block
+ */
+export const fenceUserContent = (text, name) => {
+  return `<user_input name="${name}">\n${text}\n</user_input>`;
+};
+
+/**
+ * Collects flags while an agent guards the several pieces of user text
+ * that go into one prompt
+ */
+export class InputGuard {
+  constructor() {
+    this.flags = [];
+  }
+
+  /**
+   * Sanitize text without fencing it (for values inside an already fenced block)
+   * @param {string} text - Raw user text
+   * @param {string} field - Field name recorded with any flag
+   * @param {number} maxLength - Character limit
+   * @returns {string} Sanitized text
+   */
+  clean(text, field, maxLength = INPUT_LIMITS.field) {
+    const result = sanitizeUserText(text, maxLength);
+    result.flags.forEach(flag => this.flags.push(`${field}:${flag}`));
+    return result.text;
+  }
+
+  /**
+   * Sanitize and fence text
+   * @param {string} text - Raw user text
+   * @param {string} field - Field name, also used as the block label
+   * @param {number} maxLength - Character limit
+   * @returns {string} Fenced block
+   */
+  fence(text, field, maxLength = INPUT_LIMITS.goal) {
+    return fenceUserContent(this.clean(text, field, maxLength), field);
+  }
+
+  /**
+   * @returns {Array<string>} Unique "field:flag" entries
+   */
+  getFlags() {
+    return [...new Set(this.flags)];
+  }
+}
+
+/**
+ * Check model output for echoed prompt instructions or injected directives.
+ * Instruction sentences are taken from the prompt with every <user_input>
+ * block removed, so echoing the user's own words is fine.
+ * @param {string} output - Raw model output
+ * @param {string} prompt - The prompt that produced it
+ * @returns {Array<string>} Problems found (empty when clean)
+ */
+export const checkOutput = (output, prompt = '') => {
+  const problems = [];
+  const normalizedOutput = normalize(output);
+
+  const instructionLines = prompt
+    .replace(/<user_input name="[^"]*">\n[\s\S]*?\n<\/user_input>/g, '')
+    .split(/\n|(?<=[.!?])\s+/)
+    .map(line => line.trim())
+    // JSON example lines legitimately share keys with real answers
+    .filter(line => line.length >= 40 && !line.includes('"'));
+
+  const echoed = instructionLines.find(line => normalizedOutput.includes(normalize(line)));
+  if (echoed) {
+    problems.push(`$: response echoes prompt instructions ("${echoed.slice(0, 60)}")`);
+  }
+
+  // role_hijack phrases ("act as") are too common in ordinary answers to reject on
+  ['instruction_override', 'prompt_exfiltration'].forEach(flag => {
+    if (INJECTION_PATTERNS[flag].test(output)) {
+      problems.push(`$: response contains injected directive (${flag})`);
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * @private
+ */
+const normalize = (text) => String(text).toLowerCase().replace(/\s+/g, ' ');
+
+export default { sanitizeUserText, fenceUserContent, checkOutput, InputGuard, INPUT_LIMITS };
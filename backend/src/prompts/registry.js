@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import PromptTemplate from '../models/PromptTemplate.js';
+import { defaultTemplates } from './templates.js';
+
+// name -> Map(version -> template entry)
+const templates = new Map();
+// name -> active version
+const activeVersions = new Map();
+
+/**
+ * List the {{variables}} a template uses
+ * @param {string} template - Template text
+ * @returns {Array<string>} Variable names
+ */
+export const extractVariables = (template) => {
+  return [...new Set([...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]))];
+};
+
+/**
+ * Register a template version. Overrides may only use variables the default
+ * template for that name provides, otherwise rendering would fail at call time.
+ * @param {Object} entry - { name, version, template, source }
+ * @param {boolean} activate - Make this the version used by renderPrompt (default: true)
+ * @returns {boolean} Whether the template was registered
+ */
+export const registerTemplate = ({ name, version, template, source = 'default' }, activate = true) => {
+  if (!name || !version || typeof template !== 'string') {
+    console.warn(`Skipping invalid prompt template ${name || '(unnamed)'}`);
+    return false;
+  }
+
+  const baseline = templates.get(name)?.get(defaultVersionOf(name));
+  if (baseline && source !== 'default') {
+    const allowed = extractVariables(baseline.template);
+    const unknown = extractVariables(template).filter(variable => !allowed.includes(variable));
+    if (unknown.length > 0) {
+      console.warn(`Skipping prompt ${name}@${version}: unknown variables ${unknown.join(', ')}`);
+      return false;
+    }
+  }
+
+  if (!templates.has(name)) {
+    templates.set(name, new Map());
+  }
+  templates.get(name).set(version, { name, version, template, source });
+
+  if (activate) {
+    activeVersions.set(name, version);
+  }
+  return true;
+};
+
+/**
+ * Get a template entry
+ * @param {string} name - Template name
+ * @param {string} version - Specific version (default: active version)
+ * @returns {Object} { name, version, template, source }
+ */
+export const getTemplate = (name, version) => {
+  const versions = templates.get(name);
+  const entry = versions?.get(version || activeVersions.get(name));
+  if (!entry) {
+    throw new Error(`Unknown prompt template ${name}${version ? `@${version}` : ''}`);
+  }
+  return entry;
+};
+
+/**
+ * Render a template with variables from a context object
+ * @param {string} name - Template name
+ * @param {Object} context - Variable values
+ * @param {string} version - Specific version (default: active version)
+ * @returns {Object} { name, version, source, text }
+ */
+export const renderPrompt = (name, context = {}, version) => {
+  const entry = getTemplate(name, version);
+
+  // Single pass, so {{...}} inside user-supplied values is never expanded
+  const text = entry.template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, variable) => {
+    if (context[variable] === undefined || context[variable] === null) {
+      throw new Error(`Missing prompt variable "${variable}" for ${name}@${entry.version}`);
+    }
+    return String(context[variable]);
+  });
+
+  return {
+    name: entry.name,
+    version: entry.version,
+    source: entry.source,
+    text
+  };
+};
+
+/**
+ * Active version of every template
+ * @returns {Array} [{ name, version, source }]
+ */
+export const listTemplates = () => {
+  return [...activeVersions.entries()].map(([name, version]) => {
+    const { source } = getTemplate(name, version);
+    return { name, version, source };
+  });
+};
+
+/**
+ * Load overrides from *.json files. Each file holds one template object
+ * or an array of them: { name, version, template }.
+ * @param {string} dir - Directory to scan
+ * @returns {number} Templates registered
+ */
+export const loadTemplatesFromDir = (dir) => {
+  if (!dir || !fs.existsSync(dir)) return 0;
+
+  let count = 0;
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      try {
+        const content = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        const entries = Array.isArray(content) ? content : [content];
+        entries.forEach(entry => {
+          if (registerTemplate({ ...entry, source: `file:${file}` })) count++;
+        });
+      } catch (error) {
+        console.warn(`Failed to load prompt file ${file}: ${error.message}`);
+      }
+    });
+
+  return count;
+};
+
+/**
+ * Load active overrides from the PromptTemplate collection
+ * @returns {Promise<number>} Templates registered
+ */
+export const loadTemplatesFromDatabase = async () => {
+  const entries = await PromptTemplate.find({ isActive: true }).sort({ updatedAt: 1 }).lean();
+
+  let count = 0;
+  entries.forEach(entry => {
+    if (registerTemplate({ ...entry, source: 'database' })) count++;
+  });
+  return count;
+};
+
+/**
+ * Apply overrides: files first, then the database (database wins)
+ * @returns {Promise<Object>} { files, database }
+ */
+export const loadPromptOverrides = async () => {
+  const files = loadTemplatesFromDir(process.env.PROMPT_TEMPLATES_DIR);
+
+  let database = 0;
+  try {
+    database = await loadTemplatesFromDatabase();
+  } catch (error) {
+    console.warn(`Failed to load prompt templates from database: ${error.message}`);
+  }
+
+  console.log(`Prompt overrides loaded (files: ${files}, database: ${database})`);
+  return { files, database };
+};
+
+/**
+ * @private
+ */
+const defaultVersionOf = (name) => {
+  return defaultTemplates.find(template => template.name === name)?.version;
+};
+
+// Built-in defaults are always available
+defaultTemplates.forEach(template => registerTemplate(template));
+
+export default { renderPrompt, registerTemplate, getTemplate, listTemplates, loadPromptOverrides };
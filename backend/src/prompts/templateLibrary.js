@@ -0,0 +1,223 @@
+import { GOAL_TYPE_KEYS } from '../agents/goalTypes.js';
+import { validateSchema } from '../llm/structuredOutput.js';
+import DecompositionTemplate from '../models/DecompositionTemplate.js';
+import { validateDependencies } from '../utils/taskGraph.js';
+import { defaultDecompositionTemplates } from './decompositionTemplates.js';
+
+// key -> template entry; database entries replace built-ins with the same key
+const templates = new Map();
+
+const SUBJECT_PATTERN = /\{\{\s*subject\s*\}\}/g;
+const TEMPLATE_FIELDS = ['key', 'name', 'description', 'goalTypes', 'keywords', 'milestones', 'useAsExample', 'isActive'];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const templateTaskSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    description: { type: 'string' },
+    estimatedHours: { type: 'number', minimum: 0.5 },
+    priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+    milestone: { type: 'boolean' },
+    dependsOn: stringList,
+    acceptanceCriteria: stringList,
+    deliverables: stringList,
+    resources: { type: 'array' }
+  },
+  required: ['id', 'description', 'estimatedHours'],
+  additionalProperties: false
+};
+
+const templateSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    goalTypes: { type: 'array', items: { type: 'string', enum: GOAL_TYPE_KEYS } },
+    keywords: { type: 'array', minItems: 1, items: { type: 'string' } },
+    useAsExample: { type: 'boolean' },
+    isActive: { type: 'boolean' },
+    milestones: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          tasks: { type: 'array', minItems: 1, items: templateTaskSchema }
+        },
+        required: ['title', 'tasks'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['name', 'keywords', 'milestones']
+};
+
+/**
+ * Check a template before it is stored or registered
+ * @param {Object} template - { key, name, goalTypes, keywords, milestones, ... }
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export const validateDecompositionTemplate = (template) => {
+  if (!template || typeof template !== 'object') return ['Template must be an object'];
+
+  const errors = [];
+  if (typeof template.key !== 'string' || !/^[a-z0-9-]+$/.test(template.key)) {
+    errors.push('key: must contain only lowercase letters, digits and dashes');
+  }
+  errors.push(...validateSchema(template, templateSchema));
+  if (errors.length > 0) return errors;
+
+  const tasks = template.milestones.flatMap(milestone => milestone.tasks);
+  const ids = tasks.map(task => task.id);
+  const duplicates = [...new Set(ids.filter((id, index) => ids.indexOf(id) !== index))];
+  if (duplicates.length > 0) return [`Duplicate task ids: ${duplicates.join(', ')}`];
+
+  return validateDependencies(tasks);
+};
+
+/**
+ * Register a template, replacing any entry with the same key
+ * @param {Object} template - Template fields
+ * @param {string} source - 'default' or 'database'
+ * @returns {boolean} Whether the template was registered
+ */
+export const registerDecompositionTemplate = (template, source = 'default') => {
+  const errors = validateDecompositionTemplate(template);
+  if (errors.length > 0) {
+    console.warn(`Skipping decomposition template ${template?.key || '(unnamed)'}: ${errors.join('; ')}`);
+    return false;
+  }
+
+  const entry = Object.fromEntries(TEMPLATE_FIELDS.map(field => [field, template[field]]));
+  templates.set(template.key, {
+    ...entry,
+    description: entry.description || '',
+    goalTypes: entry.goalTypes || [],
+    useAsExample: entry.useAsExample !== false,
+    isActive: entry.isActive !== false,
+    source
+  });
+  return true;
+};
+
+/**
+ * Drop a stored override: the built-in with that key comes back, if any
+ * @param {string} key - Template key
+ */
+export const resetDecompositionTemplate = (key) => {
+  const builtIn = defaultDecompositionTemplates.find(template => template.key === key);
+  if (builtIn) {
+    registerDecompositionTemplate(builtIn);
+  } else {
+    templates.delete(key);
+  }
+};
+
+/**
+ * Get a template entry
+ * @param {string} key - Template key
+ * @returns {Object|undefined} Template with its source
+ */
+export const getDecompositionTemplate = (key) => templates.get(key);
+
+/**
+ * Every registered template
+ * @returns {Array} Templates with their source
+ */
+export const listDecompositionTemplates = () => [...templates.values()];
+
+/**
+ * Best active template for an analyzed goal. Keywords are matched as whole
+ * words; a hit in the subject counts more than one in the goal text, and a
+ * template made for the goal's type wins ties. General goals can use any
+ * template, other types only templates listed for them (or for no type).
+ * @param {Object} analyzedGoal - { subject, originalGoal, goalType }
+ * @returns {Object|null} Matching template
+ */
+export const findDecompositionTemplate = (analyzedGoal) => {
+  const subject = String(analyzedGoal.subject ?? '').toLowerCase();
+  const goalText = String(analyzedGoal.originalGoal ?? '').toLowerCase();
+  const goalType = analyzedGoal.goalType || 'general';
+
+  let best = null;
+  let bestScore = 0;
+  templates.forEach(template => {
+    const typeMatches = template.goalTypes.includes(goalType);
+    if (!template.isActive || (template.goalTypes.length > 0 && !typeMatches && goalType !== 'general')) return;
+
+    const patterns = template.keywords.map(keywordPattern);
+    const subjectHits = patterns.filter(pattern => pattern.test(subject)).length;
+    const goalHits = patterns.filter(pattern => pattern.test(goalText)).length;
+    if (subjectHits + goalHits === 0) return;
+
+    const score = subjectHits * 3 + goalHits + (typeMatches ? 2 : 0);
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+/**
+ * A template's milestones with {{subject}} filled in
+ * @param {Object} template - Template entry
+ * @param {string} subject - Subject to fill in
+ * @returns {Array} Milestones in the decomposer's answer format
+ */
+export const fillDecompositionTemplate = (template, subject) => {
+  return fillValue(template.milestones, String(subject ?? '').trim() || 'the subject');
+};
+
+/**
+ * Load stored templates from the DecompositionTemplate collection
+ * @returns {Promise<number>} Templates registered
+ */
+export const loadDecompositionTemplates = async () => {
+  let count = 0;
+  try {
+    const entries = await DecompositionTemplate.find({}).sort({ updatedAt: 1 }).lean();
+    entries.forEach(entry => {
+      if (registerDecompositionTemplate(entry, 'database')) count++;
+    });
+  } catch (error) {
+    console.warn(`Failed to load decomposition templates from database: ${error.message}`);
+  }
+
+  console.log(`Decomposition templates loaded (built-in: ${defaultDecompositionTemplates.length}, database: ${count})`);
+  return count;
+};
+
+/**
+ * @private
+ */
+const keywordPattern = (keyword) => {
+  const escaped = keyword.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`);
+};
+
+/**
+ * @private
+ */
+const fillValue = (value, subject) => {
+  if (typeof value === 'string') return value.replace(SUBJECT_PATTERN, () => subject);
+  if (Array.isArray(value)) return value.map(item => fillValue(item, subject));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillValue(item, subject)]));
+  }
+  return value;
+};
+
+// Built-in templates are always available
+defaultDecompositionTemplates.forEach(template => registerDecompositionTemplate(template));
+
+export default {
+  findDecompositionTemplate,
+  fillDecompositionTemplate,
+  registerDecompositionTemplate,
+  listDecompositionTemplates,
+  loadDecompositionTemplates
+};
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+    createTemplate,
+    deleteTemplate,
+    getTemplate,
+    getTemplates,
+    getTrace,
+    getTraces,
+    updateTemplate
+} from '../controllers/adminController.js';
+import { auth, requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// List orchestration traces (filters: userId, goalId, agent, fallback, kind, status)
+router.get('/traces', auth, requireAdmin, getTraces);
+
+// Get a single trace with its formatted execution log
+router.get('/traces/:id', auth, requireAdmin, getTrace);
+
+// Decomposition templates used as fallback tasks and prompt examples
+router.get('/templates', auth, requireAdmin, getTemplates);
+router.get('/templates/:key', auth, requireAdmin, getTemplate);
+router.post('/templates', auth, requireAdmin, createTemplate);
+router.put('/templates/:key', auth, requireAdmin, updateTemplate);
+
+// Delete a stored template (restores the built-in with the same key)
+router.delete('/templates/:key', auth, requireAdmin, deleteTemplate);
+
+export default router;
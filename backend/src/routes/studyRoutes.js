@@ -1,11 +1,25 @@
 import express from 'express';
 import {
+    answerRun,
+    commitPlan,
     createStudyPlan,
+    decomposeTask,
+    getCalibration,
     getGoalDetails,
+    getGoals,
     getInsights,
+    getJob,
+    getJobEvents,
+    getPipelines,
     getPlan,
+    getRun,
     getTasks,
+    getUsage,
+    logTime,
+    previewPlan,
+    resumeRun,
     triggerReflection,
+    updateCriterion,
     updateTaskStatus
 } from '../controllers/studyPlanController.js';
 import { auth } from '../middleware/auth.js';
@@ -15,6 +29,15 @@ const router = express.Router();
 // Create a new study plan based on user goal
 router.post('/goals', auth, createStudyPlan);
 
+// Dry run: run the agents and return the plan without saving it
+router.post('/goals/preview', auth, previewPlan);
+
+// Save a previewed (optionally edited) plan without calling the models
+router.post('/goals/commit', auth, commitPlan);
+
+// List goals, optionally filtered by ?type= and ?status=
+router.get('/goals', auth, getGoals);
+
 // Get specific goal details with progress
 // goa
 router.get('/goals/:id', auth, getGoalDetails);
@@ -28,12 +51,45 @@ router.get('/plans/:goalId', auth, getPlan);
 // Update task status (completed/missed/in-progress)
 router.patch('/tasks/:id', auth, updateTaskStatus);
 
+// Check or uncheck one acceptance criterion of a task
+router.patch('/tasks/:id/criteria/:criterionId', auth, updateCriterion);
+
+// Log time spent on a task
+router.post('/tasks/:id/time', auth, logTime);
+
+// Break a task that is too big or unclear into smaller tasks
+router.post('/tasks/:id/decompose', auth, decomposeTask);
+
 // Trigger reflection and plan adjustment after goal period
 router.post('/reflect/:goalId', auth, triggerReflection);
 
 // Get user insights and learning patterns
 router.get('/insights', auth, getInsights);
 
+// Get LLM token usage by day and by agent
+router.get('/usage', auth, getUsage);
+
+// Get the calibration of estimates against logged time
+router.get('/calibration', auth, getCalibration);
+
+// List the plan pipelines a goal can be run through
+router.get('/pipelines', auth, getPipelines);
+
+// Get status of a background plan generation job
+router.get('/jobs/:id', auth, getJob);
+
+// Stream live orchestrator steps of a background job (Server-Sent Events)
+router.get('/jobs/:id/events', auth, getJobEvents);
+
+// Get an orchestration run and its step checkpoints
+router.get('/runs/:id', auth, getRun);
+
+// Resume a failed run, or re-run one step with edited input
+router.post('/runs/:id/resume', auth, resumeRun);
+
+// Answer a run's clarifying questions and continue planning
+router.post('/runs/:id/answers', auth, answerRun);
+
 
 
 export default router;
\ No newline at end of file
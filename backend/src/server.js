@@ -5,8 +5,12 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { connectDB } from "./config/db.js";
 import rateLimiter from "./middleware/rateLimiter.js";
+import { loadPromptOverrides } from "./prompts/registry.js";
+import { loadDecompositionTemplates } from "./prompts/templateLibrary.js";
+import adminRoutes from "./routes/adminRoutes.js";
 import authRoutes from "./routes/authRoutes.js";
 import studyRoutes from "./routes/studyRoutes.js";
+import { getPlanJobWorker } from "./services/planJobWorker.js";
 
 dotenv.config();
 
@@ -27,6 +31,7 @@ app.use((req, res, next) => {
 
 app.use("/api/auth", authRoutes);
 app.use("/api/study", studyRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Serve static files from the React app
 app.use(express.static(path.join(__dirname, '../../frontend/dist')));
@@ -41,7 +46,10 @@ app.get('*', (req, res) => {
     });
 });
 
-connectDB().then(() => {
+connectDB().then(async () => {
+    await loadPromptOverrides();
+    await loadDecompositionTemplates();
+    await getPlanJobWorker().start();
     app.listen(PORT, () =>{
     console.log("Server started on PORT:", PORT);
     })
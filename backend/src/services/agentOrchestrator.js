@@ -1,80 +1,133 @@
-import { GoalAnalyzerAgent } from '../agents/goalAnalyzer.js';
-import { PriorityScorerAgent } from '../agents/priorityScorer.js';
-import { ReflectionAgent } from '../agents/reflector.js';
-import { SchedulerAgent } from '../agents/scheduler.js';
-import { TaskDecomposerAgent } from '../agents/taskDecomposer.js';
+import { EventEmitter } from 'events';
+import { summarizeUsage } from '../llm/usage.js';
+import { createAgents, getPipeline, getStage, PLAN_OUTPUTS } from '../pipeline/registry.js';
+import { calibrateTasks } from '../utils/estimateCalibration.js';
+import { getLeafTasks } from '../utils/taskTree.js';
+
+// Log entries that wrap a whole run rather than one step
+const RUN_MARKERS = ['ORCHESTRATION', 'ADJUSTMENT', 'REDECOMPOSITION', 'QUICK_ANALYSIS'];
+
+/**
+ * Format an execution log (live or from a stored trace) for display
+ * @param {Array} executionLog - Log entries { step, message, timestamp, ...data }
+ * @returns {string} Formatted log
+ */
+export function formatExecutionLog(executionLog = []) {
+  let output = `
+🤖 Agent Orchestrator Execution Log
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+`;
+
+  executionLog.forEach((log, index) => {
+    const icon = log.step.includes('ERROR') ? '❌' : 
+                 log.step.includes('FLAGGED') ? '⚠️' : 
+                 log.step.includes('COMPLETE') ? '✅' : 
+                 log.step.includes('START') ? '▶️' : '📝';
+    
+    output += `${icon} [${index + 1}] ${log.step}\n`;
+    output += `   ${log.message}\n`;
+    
+    if ((log.step.includes('COMPLETE') || log.step.includes('FLAGGED')) && Object.keys(log).length > 3) {
+      const extraData = Object.entries(log)
+        .filter(([key]) => !['step', 'message', 'timestamp'].includes(key))
+        .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+        .join(', ');
+      if (extraData) output += `   📊 ${extraData}\n`;
+    }
+    
+    output += '\n';
+  });
+
+  return output.trim();
+}
 
 /**
  * Agent Orchestrator
- * Master controller that coordinates all AI agents to create study plans
+ * Master controller that coordinates all AI agents to create study plans.
+ * Plans are built by running a registered pipeline (see src/pipeline).
+ * Every execution log entry is also emitted as a 'log' event.
  */
-export class AgentOrchestrator {
+export class AgentOrchestrator extends EventEmitter {
   constructor() {
-    this.goalAnalyzer = new GoalAnalyzerAgent();
-    this.taskDecomposer = new TaskDecomposerAgent();
-    this.priorityScorer = new PriorityScorerAgent();
-    this.scheduler = new SchedulerAgent();
-    this.reflector = new ReflectionAgent();
+    super();
+    this.agents = createAgents();
+    this.goalAnalyzer = this.agents.goalAnalyzer;
+    this.taskDecomposer = this.agents.taskDecomposer;
+    this.priorityScorer = this.agents.priorityScorer;
+    this.scheduler = this.agents.scheduler;
+    this.reflector = this.agents.reflector;
     
+    this.pipeline = null;
     this.executionLog = [];
+    this.llmCalls = [];
   }
 
   /**
    * Main orchestration method: Create complete study plan from goal
    * @param {string} goalText - User's goal description
    * @param {Object} options - Configuration options
+   * @param {string} options.pipeline - Registered pipeline name (default: PLAN_PIPELINE or "standard")
    * @param {Object} options.userContext - User context (history, preferences)
    * @param {Object} options.schedulingPreferences - Scheduling preferences
-   * @returns {Promise<Object>} Complete plan with all agent outputs
+   * @param {string} options.timeZone - User's IANA time zone for deadline parsing (default: UTC)
+   * @param {Array} options.calibration - User's estimate calibration (see calibrationService); rescales decomposer estimates
+   * @param {Date} options.referenceDate - Time relative deadlines count from (default: now)
+   * @param {boolean} options.bypassCache - Skip cached model responses
+   * @param {Object} options.clarify - When set, stop with clarifying questions for ambiguous goals ({ skip: [question keys] })
+   * @param {Object} options.checkpoints - Outputs of earlier runs by stage output key; those stages are skipped
+   * @param {Function} options.onCheckpoint - Awaited with (step, key, output) after each stage that ran
+   * @returns {Promise<Object>} Complete plan with all agent outputs, or { success: false, needsInput: true, questions, pausedAt, pausedOutput }
    */
   async createStudyPlan(goalText, options = {}) {
     const startTime = Date.now();
     this.executionLog = [];
+    this.llmCalls = [];
+    this.pipeline = null;
+    const llmOptions = this.buildLLMOptions(options);
     
     try {
-      this.log('ORCHESTRATION_START', 'Starting study plan creation');
-
-      // STEP 1: Analyze Goal
-      this.log('STEP_1_START', 'Calling Goal Analyzer Agent');
-      const analyzedGoal = await this.goalAnalyzer.analyzeGoal(goalText);
-      this.log('STEP_1_COMPLETE', 'Goal analysis complete', { analyzedGoal });
-
-      if (!analyzedGoal) {
-        throw new Error('Goal analysis failed');
-      }
-
-      // STEP 2: Decompose into Tasks
-      this.log('STEP_2_START', 'Calling Task Decomposer Agent');
-      const tasks = await this.taskDecomposer.decompose(analyzedGoal);
-      this.log('STEP_2_COMPLETE', `Generated ${tasks.length} tasks`, { taskCount: tasks.length });
+      this.pipeline = getPipeline(options.pipeline);
+      this.log('ORCHESTRATION_START', 'Starting study plan creation', { pipeline: this.pipeline.name });
+
+      // Every stage reads from and writes to the run context
+      const context = { ...options.checkpoints, goalText };
+      for (const entry of this.pipeline.steps) {
+        context[entry.output] = await this.runStep(entry, context, options, llmOptions);
+
+        const stage = getStage(entry.stage);
+        const problem = stage.check?.(context[entry.output]);
+        if (problem) {
+          throw new Error(problem);
+        }
 
-      if (!tasks || tasks.length === 0) {
-        throw new Error('Task decomposition produced no tasks');
+        // Ask instead of planning around missing information
+        const questions = options.clarify
+          ? stage.clarify?.(context[entry.output], { agent: this.agents[entry.agent], options }) || []
+          : [];
+        if (questions.length > 0) {
+          this.log('CLARIFICATION_NEEDED', `${questions.length} question(s) to answer before planning`, { questions });
+          return {
+            success: false,
+            needsInput: true,
+            questions,
+            pausedAt: entry.step,
+            pausedOutput: context[entry.output],
+            executionLog: this.executionLog,
+            usage: summarizeUsage(this.llmCalls)
+          };
+        }
       }
 
-      // STEP 3: Score Task Priorities
-      this.log('STEP_3_START', 'Calling Priority Scorer Agent');
-      const userContext = this.buildUserContext(options.userContext, analyzedGoal);
-      const scoredTasks = await this.priorityScorer.scoreTasks(tasks, userContext);
-      this.log('STEP_3_COMPLETE', 'Task priorities assigned', { 
-        avgScore: this.priorityScorer.getAverageScore(scoredTasks) 
-      });
-
-      // STEP 4: Create Schedule
-      this.log('STEP_4_START', 'Calling Scheduler Agent');
-      const schedulingPrefs = this.buildSchedulingPreferences(
-        options.schedulingPreferences, 
-        analyzedGoal
-      );
-      const schedule = await this.scheduler.createSchedule(scoredTasks, schedulingPrefs);
-      this.log('STEP_4_COMPLETE', 'Schedule created', { 
-        days: schedule.summary.totalDays,
-        hours: schedule.summary.totalHours 
-      });
+      const { analyzedGoal, scoredTasks, schedule } = context;
 
       // Calculate execution time
       const executionTime = Date.now() - startTime;
-      this.log('ORCHESTRATION_COMPLETE', `Plan created in ${executionTime}ms`);
+      const usage = summarizeUsage(this.llmCalls);
+      this.log('ORCHESTRATION_COMPLETE', `Plan created in ${executionTime}ms`, {
+        cache: this.getCacheStats(),
+        totalTokens: usage.totalTokens
+      });
 
       // Return comprehensive plan
       return {
@@ -83,13 +136,19 @@ export class AgentOrchestrator {
           goal: analyzedGoal,
           tasks: scoredTasks,
           schedule: schedule,
+          extras: this.getExtraOutputs(context),
           metadata: {
             createdAt: new Date().toISOString(),
             executionTimeMs: executionTime,
-            agentsInvolved: 4,
-            totalTasks: tasks.length,
+            pipeline: this.pipeline.name,
+            agentsInvolved: new Set(this.pipeline.steps.map(entry => entry.agent)).size,
+            totalTasks: getLeafTasks(scoredTasks).length,
+            totalMilestones: scoredTasks.filter(task => task.level === 'milestone').length,
             totalHours: schedule.summary.totalHours,
-            estimatedDays: schedule.summary.totalDays
+            estimatedDays: schedule.summary.totalDays,
+            usage,
+            prompts: this.getPromptVersions(),
+            resumedSteps: this.getSkippedSteps()
           }
         },
         executionLog: this.executionLog
@@ -102,7 +161,8 @@ export class AgentOrchestrator {
         success: false,
         error: error.message,
         executionLog: this.executionLog,
-        failedAt: this.getLastCompletedStep()
+        failedAt: this.getLastCompletedStep(),
+        usage: summarizeUsage(this.llmCalls)
       };
     }
   }
@@ -112,11 +172,16 @@ export class AgentOrchestrator {
    * @param {Object} currentPlan - The current study plan
    * @param {Array} userProgress - Array of task progress updates
    * @param {Object} userMemory - User's historical memory data
+   * @param {Object} options - Configuration options
+   * @param {boolean} options.bypassCache - Skip cached model responses
    * @returns {Promise<Object>} Adjusted plan with reflection insights
    */
-  async adjustPlan(currentPlan, userProgress, userMemory = {}) {
+  async adjustPlan(currentPlan, userProgress, userMemory = {}, options = {}) {
     const startTime = Date.now();
     this.executionLog = [];
+    this.llmCalls = [];
+    this.pipeline = null;
+    const llmOptions = this.buildLLMOptions(options);
 
     try {
       this.log('ADJUSTMENT_START', 'Starting plan adjustment');
@@ -126,10 +191,14 @@ export class AgentOrchestrator {
       const reflection = await this.reflector.reflect(
         currentPlan.schedule,
         userProgress,
-        userMemory
+        userMemory,
+        llmOptions
       );
+      this.logInputFlags('reflector', this.reflector);
       this.log('REFLECTION_COMPLETE', 'Reflection analysis complete', {
-        insightsGenerated: reflection.insights?.length || 0
+        insightsGenerated: reflection.insights?.length || 0,
+        outputSource: this.reflector.lastOutputSource,
+        usage: this.getAgentUsage('reflector')
       });
 
       // STEP 2: Re-score remaining tasks if needed
@@ -174,13 +243,16 @@ export class AgentOrchestrator {
                               currentPlan.schedule.preferences?.bufferTimePercent || 20
           };
 
-          newSchedule = await this.scheduler.createSchedule(remainingTasks, updatedPrefs);
+          newSchedule = await this.scheduler.createSchedule(remainingTasks, updatedPrefs, llmOptions);
+          this.logInputFlags('scheduler', this.scheduler);
           this.log('RESCHEDULE_COMPLETE', 'New schedule generated');
         }
       }
 
       const executionTime = Date.now() - startTime;
-      this.log('ADJUSTMENT_COMPLETE', `Plan adjusted in ${executionTime}ms`);
+      this.log('ADJUSTMENT_COMPLETE', `Plan adjusted in ${executionTime}ms`, {
+        cache: this.getCacheStats()
+      });
 
       return {
         success: true,
@@ -197,7 +269,9 @@ export class AgentOrchestrator {
           metadata: {
             adjustedAt: new Date().toISOString(),
             executionTimeMs: executionTime,
-            originalPlanDate: currentPlan.metadata?.createdAt
+            originalPlanDate: currentPlan.metadata?.createdAt,
+            usage: summarizeUsage(this.llmCalls),
+            prompts: this.getPromptVersions()
           }
         },
         userMemory: reflection.updatedMemory,
@@ -215,6 +289,93 @@ export class AgentOrchestrator {
     }
   }
 
+  /**
+   * Break one task of an existing plan into smaller tasks (uses Task
+   * Decomposer, Priority Scorer and Scheduler). Only the schedule days
+   * that held the task change; other days keep their tasks.
+   * @param {Object} task - Task to break down ({ id, description, estimatedHours, priority, dependsOn, ... })
+   * @param {Object} context - Where the task lives
+   * @param {Object} context.goal - Goal the task belongs to
+   * @param {Array} context.siblings - Tasks next to it, given to the decomposer as context
+   * @param {Object} context.schedule - Current schedule ({ schedule, summary, preferences }), if any
+   * @param {Object} context.userContext - User context for scoring
+   * @param {string} context.note - Why the task needs breaking down
+   * @param {number} context.maxHours - Largest estimate a child task may get
+   * @param {number} context.calibrationFactor - Correction for the user's estimates (see estimateCalibration)
+   * @param {Object} options - Configuration options
+   * @param {boolean} options.bypassCache - Skip cached model responses
+   * @returns {Promise<Object>} { success, children, schedule, metadata, executionLog } or { success: false, error, executionLog }
+   */
+  async redecomposeTask(task, { goal, siblings = [], schedule = null, userContext = {}, note, maxHours, calibrationFactor = 1 } = {}, options = {}) {
+    const startTime = Date.now();
+    this.executionLog = [];
+    this.llmCalls = [];
+    this.pipeline = null;
+    const llmOptions = this.buildLLMOptions(options);
+
+    try {
+      this.log('REDECOMPOSITION_START', `Breaking down "${task.description}"`);
+
+      // STEP 1: Decompose the task with its goal and siblings as context
+      this.log('DECOMPOSITION_START', 'Calling Task Decomposer Agent');
+      const children = calibrateTasks(
+        await this.taskDecomposer.redecompose(task, goal, siblings, llmOptions, { note, maxHours }),
+        calibrationFactor
+      );
+      this.logInputFlags('taskDecomposer', this.taskDecomposer);
+      this.log('DECOMPOSITION_COMPLETE', `Split into ${children.length} tasks`, {
+        totalHours: this.taskDecomposer.calculateTotalTime(children),
+        outputSource: this.taskDecomposer.lastOutputSource,
+        usage: this.getAgentUsage('taskDecomposer')
+      });
+
+      // STEP 2: Score the new tasks
+      this.log('SCORING_START', 'Calling Priority Scorer Agent');
+      const scoredChildren = await this.priorityScorer.scoreTasks(children, this.buildUserContext(userContext, goal), llmOptions);
+      this.logInputFlags('priorityScorer', this.priorityScorer);
+      this.log('SCORING_COMPLETE', 'New tasks scored', {
+        avgScore: this.priorityScorer.getAverageScore(scoredChildren),
+        outputSource: this.priorityScorer.lastOutputSource,
+        usage: this.getAgentUsage('priorityScorer')
+      });
+
+      // STEP 3: Slot them in where the task was scheduled
+      let newSchedule = null;
+      if (schedule) {
+        newSchedule = this.scheduler.replaceTaskInSchedule(schedule, task, scoredChildren);
+        this.log('RESCHEDULE_COMPLETE', 'New tasks slotted into the schedule', {
+          addedDays: newSchedule.schedule.length - (schedule.schedule?.length || 0)
+        });
+      }
+
+      const executionTime = Date.now() - startTime;
+      this.log('REDECOMPOSITION_COMPLETE', `Task broken down in ${executionTime}ms`, {
+        cache: this.getCacheStats()
+      });
+
+      return {
+        success: true,
+        children: scoredChildren,
+        schedule: newSchedule,
+        metadata: {
+          executionTimeMs: executionTime,
+          usage: summarizeUsage(this.llmCalls),
+          prompts: this.getPromptVersions()
+        },
+        executionLog: this.executionLog
+      };
+
+    } catch (error) {
+      this.log('REDECOMPOSITION_ERROR', error.message, { error: error.stack });
+
+      return {
+        success: false,
+        error: error.message,
+        executionLog: this.executionLog
+      };
+    }
+  }
+
   /**
    * Quick analysis: Just analyze goal without creating full plan
    * @param {string} goalText - User's goal description
@@ -224,6 +385,7 @@ export class AgentOrchestrator {
     try {
       this.log('QUICK_ANALYSIS_START', 'Analyzing goal only');
       const analyzedGoal = await this.goalAnalyzer.analyzeGoal(goalText);
+      this.logInputFlags('goalAnalyzer', this.goalAnalyzer);
       this.log('QUICK_ANALYSIS_COMPLETE', 'Analysis complete');
 
       return {
@@ -257,13 +419,189 @@ export class AgentOrchestrator {
     return this.priorityScorer.sortByPriority(remainingTasks)[0];
   }
 
+  /**
+   * Build per-run options passed to every agent's LLM calls
+   * @private
+   */
+  buildLLMOptions(options = {}) {
+    return {
+      bypassCache: options.bypassCache === true,
+      onCall: (call) => this.llmCalls.push(call)
+    };
+  }
+
+  /**
+   * Summarize cache hits and misses for the current run
+   * @returns {Object} Cache statistics
+   */
+  getCacheStats() {
+    const hits = this.llmCalls.filter(call => call.cached).length;
+    const misses = this.llmCalls.length - hits;
+
+    return {
+      hits,
+      misses,
+      hitRate: this.llmCalls.length > 0 ? ((hits / this.llmCalls.length) * 100).toFixed(1) + '%' : 'N/A'
+    };
+  }
+
+  /**
+   * Prompt template name/version each agent used in the current run
+   * @returns {Object} { goalAnalyzer: { name, version, source }, ... }
+   */
+  getPromptVersions() {
+    return Object.fromEntries(
+      Object.entries(this.getAgents())
+        .filter(([, agent]) => agent.lastPrompt)
+        .map(([key, agent]) => [key, agent.lastPrompt])
+    );
+  }
+
+  /**
+   * Everything needed to debug the current run after the fact: the log,
+   * per-step timings, each model call with its prompt and raw response,
+   * and how every agent's output was obtained
+   * @returns {Object} { steps, timings, llmCalls, agents, usedFallback, durationMs }
+   */
+  getTrace() {
+    const agents = Object.entries(this.getAgents())
+      .filter(([, agent]) => agent.lastPrompt)
+      .map(([key, agent]) => ({
+        agent: key,
+        name: agent.name,
+        outputSource: agent.lastOutputSource,
+        prompt: agent.lastPrompt,
+        inputFlags: agent.lastInputFlags,
+        error: agent.lastError
+      }));
+
+    const first = this.executionLog[0];
+    const last = this.executionLog[this.executionLog.length - 1];
+
+    return {
+      steps: this.executionLog,
+      timings: this.getStepTimings(),
+      llmCalls: this.llmCalls,
+      agents,
+      usedFallback: agents.some(agent => agent.outputSource === 'fallback'),
+      durationMs: first ? Date.parse(last.timestamp) - Date.parse(first.timestamp) : 0
+    };
+  }
+
+  /**
+   * Milliseconds between each X_START entry and its X_COMPLETE entry
+   * @private
+   */
+  getStepTimings() {
+    const started = {};
+    const timings = {};
+
+    this.executionLog.forEach(log => {
+      const [, name, phase] = log.step.match(/^(.+)_(START|COMPLETE)$/) || [];
+      if (phase === 'START') started[name] = Date.parse(log.timestamp);
+      if (phase === 'COMPLETE' && started[name] !== undefined) {
+        timings[name] = Date.parse(log.timestamp) - started[name];
+      }
+    });
+
+    return timings;
+  }
+
+  /**
+   * Agents by the key used in call records and prompt versions
+   * @private
+   */
+  getAgents() {
+    return this.agents;
+  }
+
+  /**
+   * Run one pipeline stage, or reuse its checkpointed output
+   * @private
+   */
+  async runStep({ step, stage: stageName }, context, options, llmOptions) {
+    const stage = getStage(stageName);
+    const key = stage.output;
+
+    if (context[key] !== undefined && context[key] !== null) {
+      this.log(`${step}_SKIPPED`, `Reusing checkpointed ${key}`, { stage: stageName });
+      return context[key];
+    }
+
+    const agent = this.agents[stage.agent];
+    this.log(`${step}_START`, stage.startMessage || `Running ${stageName}`, { stage: stageName });
+
+    const output = await stage.run({ agent, context, options, llmOptions, orchestrator: this });
+    this.logInputFlags(stage.agent, agent);
+
+    const { message = `${stageName} complete`, data = {} } = stage.summarize?.(output, agent) || {};
+    this.log(`${step}_COMPLETE`, message, {
+      stage: stageName,
+      ...data,
+      outputSource: agent.lastOutputSource,
+      usage: this.getAgentUsage(stage.agent)
+    });
+
+    if (options.onCheckpoint) {
+      await options.onCheckpoint(step, key, output);
+    }
+    return output;
+  }
+
+  /**
+   * Outputs of custom stages (anything besides the plan's goal, tasks and schedule)
+   * @private
+   */
+  getExtraOutputs(context) {
+    return Object.fromEntries(
+      this.pipeline.steps
+        .filter(entry => entry.output !== 'tasks' && !PLAN_OUTPUTS.includes(entry.output))
+        .map(entry => [entry.output, context[entry.output]])
+    );
+  }
+
+  /**
+   * Steps that reused a checkpoint in the current run
+   * @private
+   */
+  getSkippedSteps() {
+    return this.executionLog
+      .filter(log => log.step.endsWith('_SKIPPED'))
+      .map(log => log.step.replace(/_SKIPPED$/, ''));
+  }
+
+  /**
+   * Record suspected prompt-injection attempts in the user text an agent saw
+   * @private
+   */
+  logInputFlags(agentKey, agent) {
+    if (agent.lastInputFlags?.length > 0) {
+      this.log('INPUT_FLAGGED', `Suspicious input sent to ${agent.name}`, {
+        agent: agentKey,
+        flags: agent.lastInputFlags
+      });
+    }
+  }
+
+  /**
+   * Token usage of one agent's calls in the current run
+   * @private
+   */
+  getAgentUsage(agent) {
+    const { calls, promptTokens, completionTokens, totalTokens } =
+      summarizeUsage(this.llmCalls.filter(call => call.agent === agent));
+    return { calls, promptTokens, completionTokens, totalTokens };
+  }
+
   /**
    * Build user context for priority scoring
    * @private
    */
   buildUserContext(userContext = {}, analyzedGoal) {
     return {
+      goalType: analyzedGoal.goalType,
       deadline: analyzedGoal.parsedDeadline,
+      daysUntilDeadline: analyzedGoal.deadline?.daysRemaining ?? null,
       userTendency: userContext.tendency || 'balanced',
       completedTasksCount: userContext.completedTasksCount || 0,
       overdueHistory: userContext.overdueHistory || 0,
@@ -278,13 +616,16 @@ export class AgentOrchestrator {
    */
   buildSchedulingPreferences(preferences = {}, analyzedGoal) {
     // Calculate available hours based on deadline
-    const defaultHours = this.estimateAvailableHours(analyzedGoal.parsedDeadline);
+    const defaultHours = this.estimateAvailableHours(analyzedGoal.parsedDeadline, analyzedGoal.deadline?.daysRemaining);
     
     return {
       availableHoursPerDay: preferences.availableHoursPerDay || defaultHours,
       preferredStudyTimes: preferences.preferredStudyTimes || ['morning', 'afternoon'],
       bufferTimePercent: preferences.bufferTimePercent || 20,
       startDate: preferences.startDate || new Date().toISOString().split('T')[0],
+      deadlineDate: analyzedGoal.deadline?.date || null,
+      // Type-specific scheduling rules (rest days, milestones)
+      goalType: analyzedGoal.goalType,
       ...preferences
     };
   }
@@ -293,7 +634,14 @@ export class AgentOrchestrator {
    * Estimate available hours per day based on deadline urgency
    * @private
    */
-  estimateAvailableHours(deadline) {
+  estimateAvailableHours(deadline, daysRemaining) {
+    // A parsed deadline gives a real day count
+    if (typeof daysRemaining === 'number' && daysRemaining >= 0) {
+      if (daysRemaining <= 2) return 6;
+      if (daysRemaining <= 7) return 5;
+      return 4;
+    }
+
     if (!deadline || deadline === 'not specified') {
       return 4; // default
     }
@@ -331,6 +679,7 @@ export class AgentOrchestrator {
     
     this.executionLog.push(logEntry);
     console.log(`[Orchestrator] ${step}: ${message}`);
+    this.emit('log', logEntry);
   }
 
   /**
@@ -338,8 +687,9 @@ export class AgentOrchestrator {
    * @private
    */
   getLastCompletedStep() {
+    // A reused checkpoint counts as completed
     const completedSteps = this.executionLog
-      .filter(log => log.step.includes('COMPLETE'))
+      .filter(log => log.step.includes('COMPLETE') || log.step.endsWith('_SKIPPED'))
       .map(log => log.step);
     
     return completedSteps.length > 0 
@@ -352,50 +702,51 @@ export class AgentOrchestrator {
    * @returns {string} Formatted log
    */
   formatExecutionLog() {
-    let output = `
-🤖 Agent Orchestrator Execution Log
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-`;
-
-    this.executionLog.forEach((log, index) => {
-      const icon = log.step.includes('ERROR') ? '❌' : 
-                   log.step.includes('COMPLETE') ? '✅' : 
-                   log.step.includes('START') ? '▶️' : '📝';
-      
-      output += `${icon} [${index + 1}] ${log.step}\n`;
-      output += `   ${log.message}\n`;
-      
-      if (log.step.includes('COMPLETE') && Object.keys(log).length > 3) {
-        const extraData = Object.entries(log)
-          .filter(([key]) => !['step', 'message', 'timestamp'].includes(key))
-          .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
-          .join(', ');
-        if (extraData) output += `   📊 ${extraData}\n`;
-      }
-      
-      output += '\n';
-    });
-
-    return output.trim();
+    return formatExecutionLog(this.executionLog);
   }
 
   /**
-   * Get orchestrator statistics
+   * Get orchestrator statistics for the last run, whatever its pipeline
    * @returns {Object} Statistics
    */
   getStats() {
-    const steps = this.executionLog.length;
+    const status = this.getStepStatus();
+    const steps = this.pipeline
+      ? this.pipeline.steps.map(({ step, stage, agent }) => ({ step, stage, agent, status: status[step] || 'pending' }))
+      : Object.keys(status)
+        .filter(step => !RUN_MARKERS.includes(step))
+        .map(step => ({ step, status: status[step] }));
+
+    const completedSteps = steps.filter(entry => ['completed', 'skipped'].includes(entry.status)).length;
     const errors = this.executionLog.filter(log => log.step.includes('ERROR')).length;
-    const completedSteps = this.executionLog.filter(log => log.step.includes('COMPLETE')).length;
 
     return {
-      totalSteps: steps,
+      pipeline: this.pipeline?.name || null,
+      totalSteps: steps.length,
       completedSteps,
+      skippedSteps: steps.filter(entry => entry.status === 'skipped').length,
       errors,
-      successRate: steps > 0 ? ((completedSteps / steps) * 100).toFixed(1) + '%' : 'N/A'
+      successRate: steps.length > 0 ? ((completedSteps / steps.length) * 100).toFixed(1) + '%' : 'N/A',
+      steps,
+      cache: this.getCacheStats()
     };
   }
+
+  /**
+   * Latest status of every step in the log: started, completed or skipped
+   * @private
+   */
+  getStepStatus() {
+    const status = {};
+    const phases = { START: 'started', COMPLETE: 'completed', SKIPPED: 'skipped' };
+
+    this.executionLog.forEach(log => {
+      const [, name, phase] = log.step.match(/^(.+)_(START|COMPLETE|SKIPPED)$/) || [];
+      if (phase) status[name] = phases[phase];
+    });
+
+    return status;
+  }
 }
 
 export default AgentOrchestrator;
@@ -0,0 +1,33 @@
+import Goal from '../models/Goal.js';
+import Task from '../models/Task.js';
+import { buildCalibration } from '../utils/estimateCalibration.js';
+
+/**
+ * A user's estimate calibration: the completed tasks they logged time on,
+ * grouped by their goal's subject and complexity. Compares the time spent
+ * with the decomposer's own estimate, before any earlier calibration.
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Buckets { subject, complexity, samples, estimatedHours, actualHours, ratio }
+ */
+export async function getEstimateCalibration(userId) {
+  const tasks = await Task.find({ userId, status: 'completed', actualHours: { $gt: 0 } })
+    .select('goalId estimatedHours rawEstimatedHours actualHours')
+    .lean();
+  if (tasks.length === 0) return [];
+
+  const goals = await Goal.find({ _id: { $in: [...new Set(tasks.map(task => String(task.goalId)))] }, userId })
+    .select('subject complexity')
+    .lean();
+  const goalsById = new Map(goals.map(goal => [String(goal._id), goal]));
+
+  return buildCalibration(tasks
+    .filter(task => goalsById.has(String(task.goalId)))
+    .map(task => ({
+      subject: goalsById.get(String(task.goalId)).subject,
+      complexity: goalsById.get(String(task.goalId)).complexity,
+      estimatedHours: task.rawEstimatedHours ?? task.estimatedHours,
+      actualHours: task.actualHours
+    })));
+}
+
+export default { getEstimateCalibration };
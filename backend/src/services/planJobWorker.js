@@ -0,0 +1,247 @@
+import { jobConfig } from '../config/jobs.js';
+import OrchestrationRun from '../models/OrchestrationRun.js';
+import PlanJob from '../models/PlanJob.js';
+import { claimRun, generateStudyPlan, resumeStudyPlan } from './planService.js';
+import { runEvents } from './runEvents.js';
+
+/**
+ * In-process worker for queued study plan jobs.
+ * Jobs live in MongoDB, so anything queued before a restart is picked up
+ * when the worker starts, and jobs interrupted mid-run are requeued once
+ * their heartbeat stops.
+ */
+export class PlanJobWorker {
+  constructor({ concurrency = 2, pollIntervalMs = 2000, staleAfterMs = 600000, maxAttempts = 3 } = jobConfig) {
+    this.concurrency = concurrency;
+    this.pollIntervalMs = pollIntervalMs;
+    this.staleAfterMs = staleAfterMs;
+    this.maxAttempts = maxAttempts;
+    this.active = 0;
+    this.timer = null;
+    this.recoveryTimer = null;
+  }
+
+  /**
+   * Recover orphaned jobs and start polling
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.recoverStaleJobs();
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref?.();
+
+    // Jobs another process was running when it died only become stale later
+    this.recoveryTimer = setInterval(() => {
+      this.recoverStaleJobs().catch(error => console.error('Plan job recovery failed:', error.message));
+    }, this.staleAfterMs);
+    this.recoveryTimer.unref?.();
+
+    this.tick();
+    console.log(`📋 Plan job worker started (concurrency ${this.concurrency})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    clearInterval(this.recoveryTimer);
+    this.timer = null;
+    this.recoveryTimer = null;
+  }
+
+  /**
+   * Queue a plan generation and wake the worker
+   * @param {Object} input - { userId, goalText, preferences, pipeline, bypassCache }
+   * @returns {Promise<Object>} Saved PlanJob document
+   */
+  async enqueue({ userId, goalText, preferences = {}, pipeline, bypassCache = false }) {
+    const job = await PlanJob.create({
+      userId,
+      input: { goalText, preferences, pipeline, bypassCache }
+    });
+    this.tick();
+    return job;
+  }
+
+  /**
+   * Claim queued jobs until every slot is busy
+   * @private
+   */
+  async tick() {
+    while (this.active < this.concurrency) {
+      // Reserve the slot before the await so overlapping ticks can't overshoot
+      this.active++;
+
+      let job;
+      try {
+        job = await this.claimNext();
+      } catch (error) {
+        console.error('Failed to claim plan job:', error.message);
+      }
+
+      if (!job) {
+        this.active--;
+        return;
+      }
+
+      this.process(job).finally(() => {
+        this.active--;
+        this.tick();
+      });
+    }
+  }
+
+  /**
+   * Atomically move the oldest queued job to running
+   * @private
+   */
+  async claimNext() {
+    return PlanJob.findOneAndUpdate(
+      { status: 'queued' },
+      {
+        $set: { status: 'running', startedAt: new Date(), heartbeatAt: new Date(), currentStep: null, error: null },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Run one job to completion and store the outcome
+   * @private
+   */
+  async process(job) {
+    console.log(`📋 Running plan job ${job._id} (attempt ${job.attempts})`);
+
+    // Keeps the job from looking stale while it runs, however long that takes
+    const heartbeat = setInterval(() => this.beat(job._id), this.staleAfterMs / 3);
+    heartbeat.unref?.();
+
+    try {
+      const onLog = (entry) => {
+        this.trackStep(job._id, entry);
+        runEvents.publish(job._id, 'step', entry);
+      };
+
+      // A requeued job continues its interrupted run from the last checkpoint
+      const run = job.runId ? await OrchestrationRun.findById(job.runId) : null;
+      if (run && !(await claimRun(run))) {
+        throw new Error('Run is already in progress');
+      }
+      const result = run
+        ? await resumeStudyPlan(run, { bypassCache: job.input.bypassCache, onLog })
+        : await generateStudyPlan({
+          userId: job.userId,
+          goalText: job.input.goalText,
+          preferences: job.input.preferences,
+          pipeline: job.input.pipeline,
+          bypassCache: job.input.bypassCache,
+          onLog,
+          onRunCreated: (created) => this.attachRun(job._id, created._id)
+        });
+
+      if (!result.success) {
+        await this.finish(job._id, { status: 'failed', error: result.error, runId: result.runId });
+        runEvents.publish(job._id, 'error', { status: 'failed', error: result.error, runId: result.runId });
+        return;
+      }
+
+      const jobResult = {
+        goalId: result.goal._id,
+        taskIds: result.tasks.map(task => task._id),
+        planId: result.plan._id,
+        executionTime: result.executionTime
+      };
+      await this.finish(job._id, { status: 'completed', currentStep: null, runId: result.runId, result: jobResult });
+      runEvents.publish(job._id, 'result', { status: 'completed', result: jobResult });
+    } catch (error) {
+      console.error(`Plan job ${job._id} failed:`, error);
+      await this.finish(job._id, { status: 'failed', error: error.message });
+      runEvents.publish(job._id, 'error', { status: 'failed', error: error.message });
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Mark a running job as alive
+   * @private
+   */
+  beat(jobId) {
+    PlanJob.updateOne({ _id: jobId, status: 'running' }, { heartbeatAt: new Date() })
+      .catch(error => console.warn(`Failed to update plan job heartbeat: ${error.message}`));
+  }
+
+  /**
+   * Persist the orchestrator step a running job has reached
+   * @private
+   */
+  trackStep(jobId, entry) {
+    const match = entry.step.match(/^(STEP_\d+)_START$/);
+    if (!match) return;
+
+    PlanJob.updateOne({ _id: jobId }, { currentStep: match[1] })
+      .catch(error => console.warn(`Failed to update plan job step: ${error.message}`));
+  }
+
+  /**
+   * Remember the run behind a job so a retry can resume it
+   * @private
+   */
+  async attachRun(jobId, runId) {
+    try {
+      await PlanJob.updateOne({ _id: jobId }, { runId });
+    } catch (error) {
+      console.warn(`Failed to save plan job run: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async finish(jobId, update) {
+    try {
+      await PlanJob.updateOne({ _id: jobId }, { ...update, finishedAt: new Date() });
+    } catch (error) {
+      console.error(`Failed to save plan job ${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Requeue jobs left running by a process that stopped sending heartbeats,
+   * or fail them once they have used up their attempts
+   * @private
+   */
+  async recoverStaleJobs() {
+    const staleBefore = new Date(Date.now() - this.staleAfterMs);
+    const stale = { status: 'running', heartbeatAt: { $lt: staleBefore } };
+
+    const failed = await PlanJob.updateMany(
+      { ...stale, attempts: { $gte: this.maxAttempts } },
+      { status: 'failed', error: 'Job was interrupted too many times', finishedAt: new Date() }
+    );
+    const requeued = await PlanJob.updateMany(
+      stale,
+      { status: 'queued', currentStep: null }
+    );
+
+    if (failed.modifiedCount || requeued.modifiedCount) {
+      console.log(`📋 Recovered plan jobs: ${requeued.modifiedCount} requeued, ${failed.modifiedCount} failed`);
+    }
+  }
+}
+
+let worker;
+
+/**
+ * Get the process-wide plan job worker
+ * @returns {PlanJobWorker}
+ */
+export const getPlanJobWorker = () => {
+  if (!worker) {
+    worker = new PlanJobWorker(jobConfig);
+  }
+  return worker;
+};
+
+export default { PlanJobWorker, getPlanJobWorker };
@@ -0,0 +1,993 @@
+import mongoose from 'mongoose';
+import { CLARIFYING_QUESTIONS } from '../agents/goalAnalyzer.js';
+import { GOAL_TYPE_KEYS } from '../agents/goalTypes.js';
+import { SchedulerAgent } from '../agents/scheduler.js';
+import { taskConfig } from '../config/tasks.js';
+import { validateSchema } from '../llm/structuredOutput.js';
+import Goal from '../models/Goal.js';
+import Memory from '../models/Memory.js';
+import OrchestrationRun from '../models/OrchestrationRun.js';
+import Plan from '../models/Plan.js';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import { getPipeline, getStage, hasPipeline } from '../pipeline/registry.js';
+import { isValidTimeZone, todayIn } from '../utils/deadlineParser.js';
+import { findCalibrationFactor } from '../utils/estimateCalibration.js';
+import { resolveLeafDependencies, validateDependencies } from '../utils/taskGraph.js';
+import { computeRollUps, getLeafTasks, rollUpTasks, TASK_LEVELS } from '../utils/taskTree.js';
+import { AgentOrchestrator } from './agentOrchestrator.js';
+import { getEstimateCalibration } from './calibrationService.js';
+import { saveTrace } from './traceService.js';
+import { recordUsage } from './usageService.js';
+
+// What a client may hand back to POST /goals/commit after editing a preview
+const previewSchema = {
+  type: 'object',
+  properties: {
+    goal: {
+      type: 'object',
+      properties: {
+        originalGoal: { type: 'string' },
+        subject: { type: 'string' },
+        parsedDeadline: { type: 'string' },
+        deadline: { type: 'object' },
+        goalType: { enum: GOAL_TYPE_KEYS },
+        complexity: { enum: ['low', 'medium', 'high'] },
+        recommendedApproach: { type: 'string' },
+        smart: { type: 'object' },
+        rewrittenGoal: { type: 'string' }
+      },
+      required: ['originalGoal', 'subject']
+    },
+    tasks: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          description: { type: 'string' },
+          estimatedHours: { type: 'number', minimum: 0 },
+          rawEstimatedHours: { type: 'number', minimum: 0 },
+          calibrationFactor: { type: 'number', minimum: 0 },
+          priority: { enum: ['low', 'medium', 'high'] },
+          priorityScore: { type: 'number', minimum: 1, maximum: 10 },
+          llmScore: { type: ['number', 'null'], minimum: 1, maximum: 10 },
+          modelScore: { type: 'number', minimum: 1, maximum: 10 },
+          llmWeight: { type: 'number', minimum: 0, maximum: 1 },
+          scoreFactors: { type: 'array' },
+          order: { type: 'number' },
+          level: { enum: TASK_LEVELS },
+          parentId: { type: ['string', 'null'] },
+          dependsOn: { type: 'array' },
+          acceptanceCriteria: { type: 'array' },
+          deliverables: { type: 'array' },
+          resources: { type: 'array' }
+        },
+        required: ['description', 'estimatedHours', 'priorityScore']
+      }
+    },
+    schedule: {
+      type: 'object',
+      properties: {
+        schedule: { type: 'array', items: { type: 'object', required: ['day', 'tasks'] } },
+        summary: { type: 'object', required: ['totalDays', 'totalHours'] },
+        preferences: { type: 'object' }
+      },
+      required: ['schedule', 'summary']
+    },
+    extras: { type: 'object' },
+    metadata: { type: 'object' }
+  },
+  required: ['goal', 'tasks', 'schedule']
+};
+
+/**
+ * Run the full agent pipeline for a goal and persist Goal, Tasks and Plan.
+ * Shared by the synchronous endpoint and the background job worker.
+ * Every step's output is checkpointed on an OrchestrationRun and the run is traced.
+ * @param {Object} params
+ * @param {string} params.userId - Owner of the plan
+ * @param {string} params.goalText - User's goal description
+ * @param {Object} params.preferences - { hoursPerDay, preferredTimes, bufferTimePercent, startDate, timeZone }
+ * @param {string} params.pipeline - Registered pipeline name (default: PLAN_PIPELINE or "standard")
+ * @param {boolean} params.bypassCache - Skip cached model responses
+ * @param {boolean} params.clarify - Pause with clarifying questions when the goal lacks critical information
+ * @param {Function} params.onLog - Receives every orchestrator log entry as it happens
+ * @param {Function} params.onRunCreated - Receives the OrchestrationRun before any step runs
+ * @returns {Promise<Object>} { success, runId, traceId, goal, tasks, plan, executionTime },
+ *   { success: false, needsInput: true, runId, traceId, questions, smart, rewrittenGoal } or { success: false, runId, traceId, error, failedAt }
+ */
+export async function generateStudyPlan({ userId, goalText, preferences = {}, pipeline, bypassCache = false, clarify = false, onLog, onRunCreated }) {
+  const options = await buildRunOptions(userId, preferences);
+  const run = await OrchestrationRun.create({
+    userId,
+    goalText,
+    pipeline: getPipeline(pipeline).name,
+    options: {
+      ...options,
+      // Hours given as a preference need no question
+      clarify: clarify ? { skip: preferences.hoursPerDay ? ['hoursPerDay'] : [] } : null
+    }
+  });
+  await onRunCreated?.(run);
+
+  return executeRun(run, { bypassCache, onLog });
+}
+
+/**
+ * Run the full agent pipeline for a goal without saving Goal, Tasks or
+ * Plan. Token usage and the trace are still recorded. The preview can be
+ * edited and handed to commitStudyPlan.
+ * @param {Object} params - Same as generateStudyPlan
+ * @returns {Promise<Object>} { success, traceId, preview: { goal, tasks, schedule, extras, metadata, feasibility } } or { success: false, traceId, error, failedAt }
+ */
+export async function previewStudyPlan({ userId, goalText, preferences = {}, pipeline, bypassCache = false, onLog }) {
+  const options = await buildRunOptions(userId, preferences);
+
+  const orchestrator = new AgentOrchestrator();
+  if (onLog) orchestrator.on('log', onLog);
+
+  const result = await orchestrator.createStudyPlan(goalText, {
+    ...options,
+    pipeline,
+    bypassCache,
+    referenceDate: new Date()
+  });
+
+  await recordUsage(userId, orchestrator.llmCalls);
+  const trace = await saveTrace(orchestrator, {
+    kind: 'preview',
+    userId,
+    goalText,
+    error: result.success ? null : result.error
+  });
+
+  if (!result.success) {
+    return { success: false, traceId: trace?._id, error: result.error, failedAt: result.failedAt };
+  }
+
+  const { goal, tasks, schedule, extras, metadata } = result.plan;
+  return {
+    success: true,
+    traceId: trace?._id,
+    preview: {
+      goal,
+      tasks,
+      schedule,
+      extras,
+      metadata,
+      feasibility: orchestrator.scheduler.analyzeFeasibility(schedule)
+    }
+  };
+}
+
+/**
+ * Check a (possibly edited) preview before it is committed
+ * @param {Object} preview - { goal, tasks, schedule, ... } from previewStudyPlan
+ * @returns {string|null} Problem description, or null when the preview is valid
+ */
+export function validatePreview(preview) {
+  const errors = validateSchema(preview, previewSchema, 'preview');
+  if (errors.length === 0) errors.push(...validateDependencies(normalizeTasks(preview.tasks)));
+  return errors.length > 0 ? errors.join('; ') : null;
+}
+
+/**
+ * Save a preview as Goal, Tasks and Plan exactly as given; no model is called
+ * @param {Object} params
+ * @param {string} params.userId - Owner of the plan
+ * @param {Object} params.preview - Valid preview (see validatePreview)
+ * @returns {Promise<Object>} { goal, tasks, plan, feasibility }
+ */
+export async function commitStudyPlan({ userId, preview }) {
+  const { goal, tasks, plan } = await persistPlan({ userId }, {
+    goal: preview.goal,
+    // Edited subtask hours and links change their parents' estimates and the leaves' prerequisites
+    tasks: resolveLeafDependencies(rollUpTasks(normalizeTasks(preview.tasks))),
+    schedule: preview.schedule,
+    extras: preview.extras,
+    metadata: {
+      ...preview.metadata,
+      committedFromPreview: true,
+      committedAt: new Date().toISOString()
+    }
+  });
+
+  console.log(`✅ Study plan committed from preview: ${tasks.length} tasks`);
+
+  return {
+    goal,
+    tasks,
+    plan,
+    feasibility: new SchedulerAgent().analyzeFeasibility(preview.schedule)
+  };
+}
+
+/**
+ * Continue a stored run. Without a step, every checkpoint is reused and the
+ * pipeline picks up at the first step that has none (the failed one).
+ * With a step and input, that step is re-run on the given input and every
+ * later checkpoint is discarded, e.g. edited tasks fed straight into STEP_3.
+ * @param {Object} run - OrchestrationRun document, claimed with claimRun
+ * @param {Object} params
+ * @param {string} params.step - Step of the run's pipeline to re-run (optional)
+ * @param {*} params.input - Replacement for that stage's input, e.g. goal text, analyzed goal, tasks or scored tasks
+ * @param {boolean} params.bypassCache - Skip cached model responses
+ * @param {Function} params.onLog - Receives every orchestrator log entry as it happens
+ * @returns {Promise<Object>} Same shape as generateStudyPlan
+ */
+export async function resumeStudyPlan(run, { step, input, bypassCache = false, onLog } = {}) {
+  if (step) {
+    const { steps } = getPipeline(run.pipeline);
+    const index = steps.findIndex(entry => entry.step === step);
+    const { input: inputKey } = steps[index];
+
+    // Later steps depend on the replaced input, so their outputs go
+    const checkpoints = { ...run.checkpoints };
+    steps.slice(index).forEach(entry => delete checkpoints[entry.output]);
+
+    if (inputKey === 'goalText') {
+      run.goalText = input;
+    } else {
+      checkpoints[inputKey] = Array.isArray(input) ? resolveLeafDependencies(normalizeTasks(input)) : input;
+    }
+
+    run.checkpoints = checkpoints;
+    run.markModified('checkpoints');
+  }
+
+  return executeRun(run, { bypassCache, onLog });
+}
+
+/**
+ * Take a stored run for a resume. The status moves to 'running' only if it
+ * is still the one the run was checked in, so of several concurrent
+ * requests for the same run exactly one gets it.
+ * @param {Object} run - OrchestrationRun document as it was validated
+ * @returns {Promise<boolean>} Whether this caller may resume the run
+ */
+export async function claimRun(run) {
+  const claimed = await OrchestrationRun.findOneAndUpdate(
+    { _id: run._id, status: run.status },
+    { status: 'running' }
+  );
+  return claimed !== null;
+}
+
+/**
+ * Continue a needs_input run with the answers to its clarifying questions.
+ * The answers are appended to the goal text, hours per day also become the
+ * scheduling preference, and the pipeline runs again from the start without
+ * asking further questions.
+ * @param {Object} run - OrchestrationRun document in needs_input, claimed with claimRun
+ * @param {Object} answers - { questionKey: answer }, e.g. { deadline: 'in 3 weeks', hoursPerDay: 2 }
+ * @param {Object} params
+ * @param {boolean} params.bypassCache - Skip cached model responses
+ * @param {Function} params.onLog - Receives every orchestrator log entry as it happens
+ * @returns {Promise<Object>} Same shape as generateStudyPlan
+ */
+export async function answerClarification(run, answers, { bypassCache = false, onLog } = {}) {
+  const details = run.clarification.questions
+    .map(({ key }) => `${CLARIFYING_QUESTIONS[key]?.label || key}: ${answers[key]}`);
+  run.goalText = [run.goalText, ...details].join('\n');
+
+  if (answers.hoursPerDay !== undefined) {
+    run.options.schedulingPreferences = { ...run.options.schedulingPreferences, availableHoursPerDay: answers.hoursPerDay };
+  }
+  if (answers.currentLevel !== undefined) {
+    run.options.userContext = { ...run.options.userContext, currentLevel: answers.currentLevel };
+  }
+  run.options.clarify = null;
+  run.markModified('options');
+
+  run.clarification.answers = answers;
+  run.clarification.answeredAt = new Date();
+  run.checkpoints = {};
+  run.markModified('checkpoints');
+
+  return executeRun(run, { bypassCache, onLog });
+}
+
+/**
+ * Check answers against the questions a run is waiting on
+ * @param {Object} run - OrchestrationRun document
+ * @param {Object} answers - { questionKey: answer }
+ * @returns {string|null} Problem description, or null when the answers are valid
+ */
+export function validateAnswers(run, answers) {
+  if (run.status !== 'needs_input') {
+    return 'Run is not waiting for answers';
+  }
+
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return 'answers must be an object';
+  }
+
+  for (const { key } of run.clarification.questions) {
+    const answer = answers[key];
+    if (key === 'hoursPerDay') {
+      if (typeof answer !== 'number' || answer <= 0 || answer > 24) {
+        return 'answers.hoursPerDay must be a number of hours between 0 and 24';
+      }
+    } else if (typeof answer !== 'string' || !answer.trim()) {
+      return `answers.${key} is required`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a resume request against the run and the input schema of the
+ * stage behind the step in the run's pipeline
+ * @param {Object} run - OrchestrationRun document
+ * @param {string} step - Step to re-run (optional)
+ * @param {*} input - Replacement input
+ * @returns {string|null} Problem description, or null when the request is valid
+ */
+export function validateResumeRequest(run, step, input) {
+  if (run.status === 'running') {
+    return 'Run is still in progress';
+  }
+
+  if (run.status === 'needs_input') {
+    return 'Run is waiting for answers to its clarifying questions';
+  }
+
+  if (run.pipeline && !hasPipeline(run.pipeline)) {
+    return `Pipeline ${run.pipeline} is no longer available`;
+  }
+
+  if (!step) {
+    return run.status === 'failed' ? null : 'Only failed runs can be resumed without a step and input';
+  }
+
+  const { steps } = getPipeline(run.pipeline);
+  const entry = steps.find(candidate => candidate.step === step);
+  if (!entry) {
+    return `step must be one of ${steps.map(candidate => candidate.step).join(', ')}`;
+  }
+
+  const { inputSchema } = getStage(entry.stage);
+  if (!inputSchema) {
+    return input === undefined || input === null ? 'input is required' : null;
+  }
+
+  const errors = validateSchema(input, inputSchema, 'input');
+  // Edited task lists must keep their links acyclic
+  if (errors.length === 0 && Array.isArray(input)) errors.push(...validateDependencies(input));
+  return errors.length > 0 ? errors.join('; ') : null;
+}
+
+/**
+ * Run (or re-run) the orchestrator for a stored run and persist the plan
+ * @private
+ */
+async function executeRun(run, { bypassCache, onLog }) {
+  try {
+    run.status = 'running';
+    run.attempts += 1;
+    run.error = null;
+    run.failedAt = null;
+    await run.save();
+
+    return await orchestrateRun(run, { bypassCache, onLog });
+  } catch (error) {
+    // A run left 'running' could never be resumed
+    await markRunFailed(run, error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a run that threw as failed at the step after its last checkpoint,
+ * unless it already recorded its own failure
+ * @private
+ */
+async function markRunFailed(run, error) {
+  try {
+    const latest = await OrchestrationRun.findById(run._id).select('status lastCompletedStep').lean();
+    if (latest && latest.status !== 'running') return;
+
+    let failedAt = null;
+    if (!run.pipeline || hasPipeline(run.pipeline)) {
+      const { steps } = getPipeline(run.pipeline);
+      const next = steps.findIndex(entry => entry.step === latest?.lastCompletedStep) + 1;
+      failedAt = (steps[next] || steps[steps.length - 1]).step;
+    }
+    await OrchestrationRun.updateOne(
+      { _id: run._id, status: 'running' },
+      { status: 'failed', error: error.message, failedAt }
+    );
+  } catch (markError) {
+    console.error(`Failed to mark run ${run._id} as failed:`, markError.message);
+  }
+}
+
+/**
+ * Orchestrate a run that is marked running, then record and persist its outcome
+ * @private
+ */
+async function orchestrateRun(run, { bypassCache, onLog }) {
+  const orchestrator = new AgentOrchestrator();
+  if (onLog) orchestrator.on('log', onLog);
+
+  const result = await orchestrator.createStudyPlan(run.goalText, {
+    pipeline: run.pipeline,
+    userContext: run.options.userContext,
+    schedulingPreferences: run.options.schedulingPreferences,
+    // Relative deadlines resolve against the request (or answer) time, also on resume
+    timeZone: run.options.timeZone,
+    calibration: run.options.calibration,
+    referenceDate: run.clarification?.answeredAt || run.createdAt,
+    clarify: run.options.clarify,
+    bypassCache,
+    checkpoints: run.checkpoints,
+    onCheckpoint: (step, key, output) => OrchestrationRun.updateOne(
+      { _id: run._id },
+      { $set: { [`checkpoints.${key}`]: output, lastCompletedStep: step } }
+    )
+  });
+
+  // Failed runs still cost tokens
+  await recordUsage(run.userId, orchestrator.llmCalls);
+
+  const trace = (goalId, error, status) => saveTrace(orchestrator, {
+    kind: 'plan',
+    userId: run.userId,
+    runId: run._id,
+    goalId,
+    goalText: run.goalText,
+    error,
+    status
+  });
+
+  if (result.needsInput) {
+    await OrchestrationRun.updateOne(
+      { _id: run._id },
+      { status: 'needs_input', 'clarification.questions': result.questions }
+    );
+    const pausedTrace = await trace(run.goalId, null, 'needs_input');
+    return {
+      success: false,
+      needsInput: true,
+      runId: run._id,
+      traceId: pausedTrace?._id,
+      questions: result.questions,
+      // The SMART grade nudges the user before any tasks exist
+      smart: result.pausedOutput?.smart,
+      rewrittenGoal: result.pausedOutput?.rewrittenGoal
+    };
+  }
+
+  if (!result.success) {
+    await OrchestrationRun.updateOne(
+      { _id: run._id },
+      { status: 'failed', error: result.error, failedAt: result.failedAt }
+    );
+    const failedTrace = await trace(run.goalId, result.error);
+    return { success: false, runId: run._id, traceId: failedTrace?._id, error: result.error, failedAt: result.failedAt };
+  }
+
+  const { steps } = getPipeline(run.pipeline);
+  const lastStep = steps[steps.length - 1].step;
+
+  let saved;
+  try {
+    saved = await persistPlan({ userId: run.userId, goalId: run.goalId }, result.plan);
+  } catch (error) {
+    // Every step is checkpointed by now, so a resume only retries the save
+    await OrchestrationRun.updateOne(
+      { _id: run._id },
+      { status: 'failed', error: error.message, failedAt: lastStep }
+    );
+    await trace(run.goalId, error.message);
+    throw error;
+  }
+
+  const { goal, tasks, plan } = saved;
+  await OrchestrationRun.updateOne(
+    { _id: run._id },
+    { status: 'completed', lastCompletedStep: lastStep, goalId: goal._id, planId: plan._id }
+  );
+
+  const savedTrace = await trace(goal._id);
+
+  console.log(`✅ Study plan created: ${tasks.length} tasks, ${plan.summary.totalDays} days`);
+
+  return {
+    success: true,
+    runId: run._id,
+    traceId: savedTrace?._id,
+    goal,
+    tasks,
+    plan,
+    executionTime: result.plan.metadata.executionTimeMs
+  };
+}
+
+/**
+ * Save Goal, Tasks and Plan. With the goal of an earlier attempt (a run
+ * retried with new input), that goal's tasks and plan are replaced.
+ * @private
+ */
+async function persistPlan({ userId, goalId }, planResult) {
+  const goalFields = {
+    userId,
+    originalGoal: planResult.goal.originalGoal,
+    parsedDeadline: planResult.goal.parsedDeadline,
+    deadline: planResult.goal.deadline?.date ? planResult.goal.deadline : null,
+    subject: planResult.goal.subject,
+    goalType: planResult.goal.goalType,
+    complexity: planResult.goal.complexity,
+    recommendedApproach: planResult.goal.recommendedApproach,
+    smart: planResult.goal.smart,
+    rewrittenGoal: planResult.goal.rewrittenGoal,
+    status: 'active'
+  };
+
+  // Save Goal to database
+  let savedGoal = goalId
+    ? await Goal.findOneAndUpdate({ _id: goalId, userId }, goalFields, { new: true })
+    : null;
+  if (!savedGoal) {
+    savedGoal = await new Goal(goalFields).save();
+  } else {
+    await Task.deleteMany({ goalId: savedGoal._id, userId: userId });
+  }
+
+  // Save Tasks to database; ids are assigned up front so children can point at their parent
+  const taskIds = planResult.tasks.map(() => new mongoose.Types.ObjectId());
+  const idByKey = new Map(planResult.tasks.map((task, index) => [task.id, taskIds[index]]));
+  const savedTasks = await Task.insertMany(planResult.tasks.map((task, index) => (
+    toTaskDoc(task, { _id: taskIds[index], goalId: savedGoal._id, userId }, idByKey)
+  )));
+
+  // Save Plan to database
+  const savedPlan = await Plan.findOneAndUpdate(
+    { goalId: savedGoal._id, userId: userId },
+    {
+      goalId: savedGoal._id,
+      userId: userId,
+      schedule: linkScheduleToTasks(planResult.schedule.schedule, idByKey),
+      summary: planResult.schedule.summary,
+      preferences: planResult.schedule.preferences,
+      // Outputs of custom stages travel with the plan
+      metadata: Object.keys(planResult.extras || {}).length > 0
+        ? { ...planResult.metadata, extras: planResult.extras }
+        : planResult.metadata
+    },
+    { new: true, upsert: true }
+  );
+
+  return { goal: savedGoal, tasks: savedTasks, plan: savedPlan };
+}
+
+/**
+ * Task document fields for an agent-made task. Links (parentId, dependsOn)
+ * go through idByKey, so they can point at tasks saved in the same batch.
+ * @private
+ */
+function toTaskDoc(task, fields, idByKey) {
+  return {
+    ...fields,
+    description: task.description,
+    estimatedHours: task.estimatedHours,
+    rawEstimatedHours: task.rawEstimatedHours,
+    calibrationFactor: task.calibrationFactor ?? 1,
+    priority: task.priority,
+    priorityScore: task.priorityScore,
+    llmScore: task.llmScore ?? null,
+    modelScore: task.modelScore,
+    llmWeight: task.llmWeight ?? 0,
+    scoreFactors: task.scoreFactors || [],
+    order: task.order,
+    parentId: (task.parentId && idByKey.get(task.parentId)) || null,
+    dependsOn: (task.dependsOn || []).map(ref => idByKey.get(ref)).filter(Boolean),
+    level: task.level || 'task',
+    // Hand-edited previews may list criteria as plain strings
+    acceptanceCriteria: (task.acceptanceCriteria || []).map(criterion => (typeof criterion === 'string'
+      ? { text: criterion, done: false }
+      : { text: criterion.text, done: criterion.done === true })),
+    deliverables: task.deliverables || [],
+    resources: task.resources || [],
+    progress: task.progress || 0,
+    milestone: task.milestone === true,
+    status: task.status || 'pending',
+    scoreReasoning: task.scoreReasoning
+  };
+}
+
+/**
+ * Memory-derived user context, scheduling preferences, the user's time
+ * zone and estimate calibration for a new run
+ * @private
+ */
+async function buildRunOptions(userId, preferences = {}) {
+  // Get user's memory for context (if exists)
+  const userMemory = await Memory.findOne({ userId });
+  const user = preferences.timeZone ? null : await User.findById(userId).select('timeZone');
+  const timeZone = [preferences.timeZone, user?.timeZone].find(isValidTimeZone) || 'UTC';
+
+  return {
+    // Build user context from memory
+    userContext: {
+      tendency: userMemory?.missedTaskPatterns?.tendency || 'balanced',
+      completedTasksCount: userMemory?.completionRate ?
+        Math.round(userMemory.completionRate / 10) : 0,
+      overdueHistory: 0,
+      preferredTimes: userMemory?.preferredTimes || ['morning']
+    },
+    schedulingPreferences: {
+      availableHoursPerDay: preferences.hoursPerDay || 4,
+      preferredStudyTimes: preferences.preferredTimes || ['morning', 'afternoon'],
+      bufferTimePercent: preferences.bufferTimePercent || 20,
+      startDate: preferences.startDate || todayIn(timeZone)
+    },
+    timeZone,
+    calibration: await getEstimateCalibration(userId)
+  };
+}
+
+/**
+ * Give hand-edited tasks the fields the agents rely on
+ * @private
+ */
+function normalizeTasks(tasks) {
+  return tasks.map((task, index) => ({
+    ...task,
+    id: task.id || `task_${Date.now()}_${index}`,
+    priority: task.priority || 'medium',
+    order: task.order || index + 1,
+    status: task.status || 'pending',
+    level: task.level || 'task',
+    parentId: task.parentId || null,
+    dependsOn: task.dependsOn || []
+  }));
+}
+
+/**
+ * Recompute the rolled-up estimate, progress, status and priority score of
+ * every parent task of a goal after its subtasks changed
+ * @param {string} goalId - Goal whose task tree changed
+ * @param {string} userId - Owner of the goal
+ * @returns {Promise<number>} Number of parent tasks updated
+ */
+export async function rollUpGoalTasks(goalId, userId) {
+  const tasks = await Task.find({ goalId, userId }).lean();
+  const rollUps = computeRollUps(tasks);
+
+  const updates = tasks
+    .map(task => ({ task, fields: rollUps.get(String(task._id)) }))
+    .filter(({ task, fields }) => Object.entries(fields).some(([key, value]) => task[key] !== value))
+    .map(({ task, fields }) => ({ updateOne: { filter: { _id: task._id, userId }, update: fields } }));
+
+  if (updates.length > 0) await Task.bulkWrite(updates);
+  return updates.length;
+}
+
+/**
+ * Point schedule entries at stored tasks: the agents' task ids become the
+ * ids of the saved Task documents
+ * @param {Array} schedule - Schedule days
+ * @param {Map} savedIds - Agent task id -> saved task id
+ * @returns {Array} Schedule days with saved task ids
+ */
+export function linkScheduleToTasks(schedule, savedIds) {
+  return schedule.map(day => ({
+    ...day,
+    tasks: (day.tasks || []).map(entry => ({ ...entry, taskId: savedIds.get(entry.taskId)?.toString() || entry.taskId }))
+  }));
+}
+
+/**
+ * Whether a task was completed after the last day its plan scheduled it for
+ * @param {Object} task - Task document
+ * @param {Object|null} plan - Plan of the task's goal
+ * @param {Date} completedAt - Completion time
+ * @param {string} timeZone - IANA timezone the schedule's dates are in
+ * @returns {boolean} False for unscheduled tasks
+ */
+export function isCompletedLate(task, plan, completedAt, timeZone) {
+  const scheduledDates = mapScheduledDates(plan);
+  const scheduledDate = scheduledDates.get(task._id.toString()) || scheduledDates.get(task.description);
+  return Boolean(scheduledDate) && todayIn(timeZone, completedAt) > scheduledDate;
+}
+
+/**
+ * Load a task's plan and time zone and check whether it was completed late
+ * @param {Object} task - Task document
+ * @param {Date} completedAt - Completion time
+ * @returns {Promise<boolean>}
+ */
+export async function checkCompletedLate(task, completedAt) {
+  const [plan, goal, user] = await Promise.all([
+    Plan.findOne({ goalId: task.goalId, userId: task.userId }).select('schedule').lean(),
+    Goal.findById(task.goalId).select('deadline.timeZone').lean(),
+    User.findById(task.userId).select('timeZone').lean()
+  ]);
+  const timeZone = [goal?.deadline?.timeZone, user?.timeZone].find(isValidTimeZone) || 'UTC';
+  return isCompletedLate(task, plan, completedAt, timeZone);
+}
+
+/**
+ * Run the Reflection Agent over a stored plan and persist the outcome:
+ * an audit entry on the Plan, new priority scores on Tasks, a regenerated
+ * schedule when the reflection asks for one, and learned patterns in Memory.
+ * @param {Object} params
+ * @param {string} params.userId - Owner of the plan
+ * @param {Object} params.goal - Goal document
+ * @param {Object} params.plan - Plan document
+ * @param {Array} params.tasks - Task documents of the goal
+ * @param {boolean} params.bypassCache - Skip cached model responses
+ * @param {Function} params.onLog - Receives every orchestrator log entry as it happens
+ * @returns {Promise<Object>} { success, traceId, plan, reflection, executionTime } or { success: false, traceId, error }
+ */
+export async function adjustStudyPlan({ userId, goal, plan, tasks, bypassCache = false, onLog }) {
+  const memory = await Memory.findOne({ userId });
+  // Agents spread schedule entries, so hand them plain objects
+  const planData = plan.toObject();
+  // Milestones and split tasks only summarize their subtasks
+  const workTasks = getLeafTasks(tasks);
+
+  const currentPlan = {
+    goal,
+    tasks: workTasks.map(task => ({
+      id: task._id.toString(),
+      description: task.description,
+      estimatedHours: task.estimatedHours,
+      priority: task.priority,
+      priorityScore: task.priorityScore,
+      order: task.order,
+      status: task.status
+    })),
+    schedule: {
+      schedule: planData.schedule,
+      summary: planData.summary,
+      preferences: planData.preferences
+    },
+    metadata: planData.metadata
+  };
+
+  const orchestrator = new AgentOrchestrator();
+  if (onLog) orchestrator.on('log', onLog);
+
+  const result = await orchestrator.adjustPlan(
+    currentPlan,
+    buildUserProgress(workTasks, planData),
+    { patterns: memory?.missedTaskPatterns?.patterns || [] },
+    { bypassCache }
+  );
+
+  await recordUsage(userId, orchestrator.llmCalls);
+
+  const trace = await saveTrace(orchestrator, {
+    kind: 'adjustment',
+    userId,
+    goalId: goal._id,
+    goalText: goal.originalGoal,
+    error: result.success ? null : result.error
+  });
+
+  if (!result.success) {
+    return { success: false, traceId: trace?._id, error: result.error };
+  }
+
+  const { adjustedPlan } = result;
+  const { reflection } = adjustedPlan;
+
+  // Audit trail
+  plan.adjustments.push({
+    adjustedAt: new Date(),
+    analysis: reflection.analysis,
+    insights: reflection.insights,
+    changes: reflection.adjustmentsMade
+  });
+
+  // A regenerated schedule replaces the stored one
+  if (Array.isArray(adjustedPlan.schedule?.schedule) && adjustedPlan.schedule.summary) {
+    plan.schedule = adjustedPlan.schedule.schedule;
+    plan.summary = adjustedPlan.schedule.summary;
+  }
+  const savedPlan = await plan.save();
+
+  const rescored = adjustedPlan.tasks.filter(task => task.adjustedAt);
+  if (rescored.length > 0) {
+    await Task.bulkWrite(rescored.map(task => ({
+      updateOne: {
+        filter: { _id: task.id, userId },
+        update: { priorityScore: task.priorityScore, scoreReasoning: task.scoreReasoning }
+      }
+    })));
+    await rollUpGoalTasks(goal._id, userId);
+  }
+
+  // Remember what the reflection learned
+  await Memory.updateOne(
+    { userId },
+    {
+      $set: {
+        'missedTaskPatterns.patterns': result.userMemory?.patterns || [],
+        'missedTaskPatterns.tendency': reflection.analysis?.userTendency || memory?.missedTaskPatterns?.tendency || 'balanced'
+      },
+      $push: { insights: { $each: reflection.insights || [], $slice: -20 } }
+    },
+    { upsert: true }
+  );
+
+  return {
+    success: true,
+    traceId: trace?._id,
+    plan: savedPlan,
+    reflection,
+    executionTime: adjustedPlan.metadata.executionTimeMs
+  };
+}
+
+/**
+ * Break one stored task into smaller tasks and persist the outcome: the
+ * children are saved below the task, take its place in the schedule and
+ * in the links of tasks that waited for it, and the task becomes their
+ * rolled-up parent. Schedule days that did not hold the task keep their tasks.
+ * @param {Object} params
+ * @param {string} params.userId - Owner of the task
+ * @param {Object} params.task - Task document to break down (a task without subtasks)
+ * @param {string} params.note - Why the task needs breaking down
+ * @param {boolean} params.bypassCache - Skip cached model responses
+ * @param {Function} params.onLog - Receives every orchestrator log entry as it happens
+ * @returns {Promise<Object>} { success, traceId, task, children, plan, executionTime } or { success: false, traceId, error }
+ */
+export async function redecomposeTask({ userId, task, note, bypassCache = false, onLog }) {
+  const goal = await Goal.findOne({ _id: task.goalId, userId });
+  const plan = await Plan.findOne({ goalId: task.goalId, userId });
+  const goalTasks = await Task.find({ goalId: task.goalId, userId }).sort({ order: 1 });
+  const { userContext, calibration } = await buildRunOptions(userId);
+
+  const toAgentTask = doc => ({
+    id: doc._id.toString(),
+    description: doc.description,
+    estimatedHours: doc.estimatedHours,
+    priority: doc.priority,
+    priorityScore: doc.priorityScore,
+    order: doc.order,
+    status: doc.status,
+    milestone: doc.milestone,
+    dependsOn: (doc.dependsOn || []).map(String)
+  });
+  // Tasks under the same parent (or the other top-level tasks)
+  const siblings = goalTasks
+    .filter(other => !other._id.equals(task._id) && String(other.parentId) === String(task.parentId));
+  // Agents spread schedule entries, so hand them plain objects
+  const planData = plan?.toObject();
+
+  const orchestrator = new AgentOrchestrator();
+  if (onLog) orchestrator.on('log', onLog);
+
+  const result = await orchestrator.redecomposeTask(
+    toAgentTask(task),
+    {
+      goal,
+      siblings: siblings.map(toAgentTask),
+      schedule: planData
+        ? { schedule: planData.schedule, summary: planData.summary, preferences: planData.preferences }
+        : null,
+      userContext,
+      note,
+      maxHours: taskConfig.splitAboveHours,
+      calibrationFactor: findCalibrationFactor(calibration, goal, taskConfig.calibration).factor
+    },
+    { bypassCache }
+  );
+
+  await recordUsage(userId, orchestrator.llmCalls);
+
+  const trace = await saveTrace(orchestrator, {
+    kind: 'redecomposition',
+    userId,
+    goalId: goal._id,
+    goalText: goal.originalGoal,
+    error: result.success ? null : result.error
+  });
+
+  if (!result.success) {
+    return { success: false, traceId: trace?._id, error: result.error };
+  }
+
+  // Children sit between the task and whatever came after it
+  const childIds = result.children.map(() => new mongoose.Types.ObjectId());
+  const idByKey = new Map([
+    ...goalTasks.map(doc => [doc._id.toString(), doc._id]),
+    ...result.children.map((child, index) => [child.id, childIds[index]])
+  ]);
+  const children = await Task.insertMany(result.children.map((child, index) => toTaskDoc(
+    { ...child, order: task.order + (index + 1) / (result.children.length + 1) },
+    { _id: childIds[index], goalId: goal._id, userId },
+    idByKey
+  )));
+
+  // Tasks that waited for the task now wait for every one of its children
+  await Task.updateMany(
+    { goalId: goal._id, userId, dependsOn: task._id },
+    { $addToSet: { dependsOn: { $each: childIds } } }
+  );
+  await Task.updateMany({ goalId: goal._id, userId, dependsOn: task._id }, { $pull: { dependsOn: task._id } });
+  await rollUpGoalTasks(goal._id, userId);
+
+  let savedPlan = plan;
+  if (plan && result.schedule) {
+    const savedIds = new Map(result.children.map((child, index) => [child.id, childIds[index]]));
+    plan.schedule = linkScheduleToTasks(result.schedule.schedule, savedIds);
+    plan.summary = result.schedule.summary;
+
+    // Audit trail
+    plan.adjustments.push({
+      adjustedAt: new Date(),
+      changes: {
+        redecomposedTask: {
+          taskId: task._id.toString(),
+          description: task.description,
+          children: childIds.map(String),
+          note: note || null
+        }
+      }
+    });
+    savedPlan = await plan.save();
+  }
+
+  return {
+    success: true,
+    traceId: trace?._id,
+    task: await Task.findById(task._id),
+    children,
+    plan: savedPlan,
+    executionTime: result.metadata.executionTimeMs
+  };
+}
+
+/**
+ * Turn stored tasks into the progress records the Reflection Agent reads
+ * @private
+ */
+function buildUserProgress(tasks, plan) {
+  const scheduledDates = mapScheduledDates(plan);
+
+  return tasks.map(task => ({
+    taskId: task._id.toString(),
+    taskDescription: task.description,
+    status: task.status,
+    completedOnTime: task.status === 'completed' && !task.completedLate,
+    scheduledTime: scheduledDates.get(task._id.toString()) || scheduledDates.get(task.description) || 'unscheduled',
+    priorityScore: task.priorityScore
+  }));
+}
+
+/**
+ * Last scheduled date per task id (or description, for entries without one)
+ * @private
+ */
+function mapScheduledDates(plan) {
+  const scheduledDates = new Map();
+  (plan?.schedule || []).forEach(day => {
+    day.tasks.forEach(entry => {
+      scheduledDates.set(entry.taskId || entry.taskDescription, day.date);
+    });
+  });
+  return scheduledDates;
+}
+
+export default {
+  generateStudyPlan,
+  previewStudyPlan,
+  validatePreview,
+  commitStudyPlan,
+  resumeStudyPlan,
+  claimRun,
+  validateResumeRequest,
+  answerClarification,
+  validateAnswers,
+  rollUpGoalTasks,
+  linkScheduleToTasks,
+  isCompletedLate,
+  checkCompletedLate,
+  adjustStudyPlan,
+  redecomposeTask
+};
@@ -0,0 +1,75 @@
+import { EventEmitter } from 'events';
+
+// Events kept per run so late subscribers can catch up
+const HISTORY_LIMIT = 200;
+// How long a finished run's history stays available
+const RETAIN_MS = 5 * 60 * 1000;
+
+/**
+ * In-process hub for live orchestration events, keyed by run id
+ * (a background job id). Subscribers first receive the run's history,
+ * then every new event until a terminal 'result' or 'error' event.
+ */
+export class RunEventHub {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.runs = new Map();
+  }
+
+  /**
+   * Publish an event for a run
+   * @param {string} runId - Run / job id
+   * @param {string} type - step, result or error
+   * @param {Object} data - Event payload
+   */
+  publish(runId, type, data) {
+    const key = String(runId);
+    if (!this.runs.has(key)) {
+      this.runs.set(key, { history: [], done: false });
+    }
+
+    const run = this.runs.get(key);
+    if (run.done) return;
+
+    const event = { type, data };
+    run.history.push(event);
+    if (run.history.length > HISTORY_LIMIT) run.history.shift();
+
+    if (type === 'result' || type === 'error') {
+      run.done = true;
+      setTimeout(() => this.runs.delete(key), RETAIN_MS).unref?.();
+    }
+
+    this.emitter.emit(key, event);
+  }
+
+  /**
+   * Listen to a run, replaying what already happened
+   * @param {string} runId - Run / job id
+   * @param {Function} listener - Receives { type, data }
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(runId, listener) {
+    const key = String(runId);
+    const run = this.runs.get(key);
+
+    run?.history.forEach(listener);
+    if (run?.done) return () => {};
+
+    this.emitter.on(key, listener);
+    return () => this.emitter.off(key, listener);
+  }
+
+  /**
+   * @param {string} runId - Run / job id
+   * @returns {boolean} Whether the hub has seen this run
+   */
+  has(runId) {
+    return this.runs.has(String(runId));
+  }
+}
+
+export const runEvents = new RunEventHub();
+
+export default runEvents;
@@ -0,0 +1,98 @@
+import Trace from '../models/Trace.js';
+import { formatExecutionLog } from './agentOrchestrator.js';
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Persist the trace of an orchestrator run. Tracing must never break plan
+ * generation, so failures are logged and swallowed.
+ * @param {Object} orchestrator - AgentOrchestrator after createStudyPlan / adjustPlan
+ * @param {Object} params
+ * @param {string} params.kind - plan, adjustment, preview or redecomposition
+ * @param {string} params.userId - Owner of the run
+ * @param {string} params.runId - OrchestrationRun id (plan runs)
+ * @param {string} params.goalId - Goal the run produced or adjusted
+ * @param {string} params.goalText - Goal description the run started from
+ * @param {string} params.error - Why the run failed, if it did
+ * @param {string} params.status - Overrides the status derived from error, e.g. needs_input
+ * @returns {Promise<Object|null>} Saved trace, or null when saving failed
+ */
+export async function saveTrace(orchestrator, { kind, userId, runId, goalId, goalText, error = null, status }) {
+  try {
+    const trace = orchestrator.getTrace();
+
+    return await Trace.create({
+      kind,
+      userId,
+      runId,
+      goalId,
+      goalText,
+      status: status || (error ? 'failed' : 'completed'),
+      error,
+      ...trace
+    });
+  } catch (saveError) {
+    console.error('Failed to save orchestration trace:', saveError.message);
+    return null;
+  }
+}
+
+/**
+ * List traces, newest first, without their (large) log and call bodies
+ * @param {Object} filters
+ * @param {string} filters.userId - Owner
+ * @param {string} filters.goalId - Goal
+ * @param {string} filters.agent - Agent key that took part (goalAnalyzer, ...)
+ * @param {boolean} filters.fallback - Only runs where some agent (or the given agent) fell back
+ * @param {string} filters.kind - plan, adjustment, preview or redecomposition
+ * @param {string} filters.status - completed, needs_input or failed
+ * @param {number} filters.page - 1-based page
+ * @param {number} filters.limit - Page size (max 100)
+ * @returns {Promise<Object>} { traces, page, limit, total }
+ */
+export async function listTraces({ userId, goalId, agent, fallback, kind, status, page = 1, limit = 20 } = {}) {
+  const query = {};
+  if (userId) query.userId = userId;
+  if (goalId) query.goalId = goalId;
+  if (kind) query.kind = kind;
+  if (status) query.status = status;
+
+  if (agent && fallback !== undefined) {
+    // The same agent entry must match both conditions
+    query.agents = fallback
+      ? { $elemMatch: { agent, outputSource: 'fallback' } }
+      : { $elemMatch: { agent, outputSource: { $ne: 'fallback' } } };
+  } else if (agent) {
+    query['agents.agent'] = agent;
+  } else if (fallback !== undefined) {
+    query.usedFallback = fallback;
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+  const [traces, total] = await Promise.all([
+    Trace.find(query)
+      .select('-steps -llmCalls')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    Trace.countDocuments(query)
+  ]);
+
+  return { traces, page: pageNumber, limit: pageSize, total };
+}
+
+/**
+ * Load a single trace and render its log the way the orchestrator does
+ * @param {string} traceId - Trace id
+ * @returns {Promise<Object|null>} { trace, formatted } or null when not found
+ */
+export async function getTraceView(traceId) {
+  const trace = await Trace.findById(traceId);
+  if (!trace) return null;
+
+  return { trace, formatted: formatExecutionLog(trace.steps) };
+}
+
+export default { saveTrace, listTraces, getTraceView };
@@ -0,0 +1,124 @@
+import { usageConfig } from '../config/llm.js';
+import { estimateCost } from '../llm/usage.js';
+import Usage from '../models/Usage.js';
+
+/**
+ * Roll LLM calls from an orchestration run into the per-user usage collection.
+ * Best effort: a failed write is logged and never fails the run.
+ * @param {string} userId - Owner of the run
+ * @param {Array} calls - Call records reported through onCall
+ * @returns {Promise<void>}
+ */
+export async function recordUsage(userId, calls = []) {
+  if (!userId || calls.length === 0) return;
+
+  const day = new Date().toISOString().split('T')[0];
+
+  const operations = calls.map(call => {
+    const usage = call.cached ? {} : (call.usage || {});
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+
+    return {
+      updateOne: {
+        filter: {
+          userId,
+          day,
+          agent: call.agent || 'unknown',
+          provider: call.provider,
+          model: call.model
+        },
+        update: {
+          $inc: {
+            calls: 1,
+            cachedCalls: call.cached ? 1 : 0,
+            promptTokens,
+            completionTokens,
+            totalTokens: usage.totalTokens || promptTokens + completionTokens,
+            estimatedCost: call.cached ? 0 : estimateCost(call.provider, call.model, usage)
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  try {
+    await Usage.bulkWrite(operations);
+  } catch (error) {
+    console.error('Failed to record LLM usage:', error.message);
+  }
+}
+
+/**
+ * Totals for a user between two days, grouped by day and by agent
+ * @param {string} userId - User id
+ * @param {string} from - First day (YYYY-MM-DD, inclusive)
+ * @param {string} to - Last day (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Object>} { totals, byDay, byAgent }
+ */
+export async function getUsageSummary(userId, from, to) {
+  const records = await Usage.find({ userId, day: { $gte: from, $lte: to } }).lean();
+
+  const emptyTotals = () => ({
+    calls: 0,
+    cachedCalls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    estimatedCost: 0
+  });
+
+  const add = (totals, record) => {
+    Object.keys(totals).forEach(key => {
+      totals[key] += record[key] || 0;
+    });
+    totals.estimatedCost = parseFloat(totals.estimatedCost.toFixed(6));
+  };
+
+  const totals = emptyTotals();
+  const byDay = {};
+  const byAgent = {};
+
+  records.forEach(record => {
+    byDay[record.day] = byDay[record.day] || emptyTotals();
+    byAgent[record.agent] = byAgent[record.agent] || emptyTotals();
+    add(totals, record);
+    add(byDay[record.day], record);
+    add(byAgent[record.agent], record);
+  });
+
+  return {
+    totals,
+    byDay: Object.entries(byDay)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([day, dayTotals]) => ({ day, ...dayTotals })),
+    byAgent: Object.entries(byAgent)
+      .map(([agent, agentTotals]) => ({ agent, ...agentTotals }))
+  };
+}
+
+/**
+ * Check a user's token use for the current calendar month against the quota
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} { limit, used, remaining, exceeded }
+ */
+export async function getMonthlyQuota(userId) {
+  const limit = usageConfig.monthlyTokenQuota;
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+    .toISOString().split('T')[0];
+  const today = now.toISOString().split('T')[0];
+
+  const { totals } = await getUsageSummary(userId, monthStart, today);
+
+  return {
+    limit: limit || null,
+    used: totals.totalTokens,
+    remaining: limit ? Math.max(0, limit - totals.totalTokens) : null,
+    exceeded: limit > 0 && totals.totalTokens >= limit,
+    periodStart: monthStart
+  };
+}
+
+export default { recordUsage, getUsageSummary, getMonthlyQuota };
@@ -0,0 +1,276 @@
+// Deterministic deadline parsing: natural-language expressions to calendar
+// dates, resolved against the request time in the user's timezone.
+// Dates are "YYYY-MM-DD" strings; arithmetic happens on UTC midnights.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY = `(${WEEKDAYS.join('|')})`;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  couple: 2, few: 3, several: 4
+};
+const NUMBER = '(\\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|(?:a\\s+)?(?:couple|few)(?:\\s+of)?|several)';
+
+// Typical term ends (month, day); "end of semester" picks the next one
+const TERM_ENDS = [[5, 15], [8, 15], [12, 15]];
+
+/**
+ * Whether a string is an IANA timezone Intl understands
+ * @param {string} timeZone - e.g. "Europe/Berlin"
+ * @returns {boolean}
+ */
+export const isValidTimeZone = timeZone => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Calendar date of an instant in a timezone
+ * @param {string} timeZone - IANA timezone (invalid or missing: UTC)
+ * @param {Date} now - Instant (default: current time)
+ * @returns {string} YYYY-MM-DD
+ */
+export const todayIn = (timeZone, now = new Date()) => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+};
+
+/**
+ * Turn the first deadline expression found in a text into a date.
+ * Supported: ISO dates, "Dec 5" / "5th of December" (optionally with a
+ * year), "12/5", "in 3 weeks" / "10 days from now", "today", "tomorrow",
+ * "(next) Friday", "end of the week / month / year / March",
+ * "next week / month", "end of semester" and "by March".
+ * "next Friday" means Friday of next calendar week (weeks start Monday).
+ * @param {string} text - Goal text or deadline phrase
+ * @param {Object} options
+ * @param {Date} options.now - Request time (default: current time)
+ * @param {string} options.timeZone - User's IANA timezone (default: UTC)
+ * @returns {Object} { phrase, date, daysRemaining, confidence, timeZone }; date is null when nothing matched
+ */
+export const parseDeadline = (text, { now = new Date(), timeZone = 'UTC' } = {}) => {
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const today = toDay(todayIn(zone, now));
+  const input = typeof text === 'string' ? text.toLowerCase() : '';
+
+  for (const rule of RULES) {
+    const match = input.match(rule.pattern);
+    if (!match) continue;
+
+    const resolved = rule.resolve(match, today);
+    if (!resolved || isNaN(resolved.date)) continue;
+
+    const daysRemaining = Math.round((resolved.date - today) / DAY_MS);
+    return {
+      phrase: text.slice(match.index, match.index + match[0].length).trim(),
+      date: formatDay(resolved.date),
+      daysRemaining,
+      // A deadline in the past is most likely a misread
+      confidence: daysRemaining < 0 ? Math.min(resolved.confidence, 0.3) : resolved.confidence,
+      timeZone: zone
+    };
+  }
+
+  return { phrase: null, date: null, daysRemaining: null, confidence: 0, timeZone: zone };
+};
+
+/**
+ * Parse several candidate texts (e.g. the goal and the model's deadline
+ * phrase) and keep the most confident result
+ * @param {Array<string>} texts - Candidate texts, most trusted first
+ * @param {Object} options - See parseDeadline
+ * @returns {Object} Best parseDeadline result
+ */
+export const parseBestDeadline = (texts, options = {}) => {
+  return texts
+    .map(text => parseDeadline(text, options))
+    .reduce((best, result) => (result.confidence > best.confidence ? result : best));
+};
+
+// Ordered from most to least specific; the first matching rule wins
+const RULES = [
+  {
+    pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/,
+    resolve: ([, year, month, day]) => ({ date: exactDay(+year, +month, +day), confidence: 0.95 })
+  },
+  {
+    pattern: new RegExp(`\\b${MONTH}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`),
+    resolve: (match, today) => {
+      const [, month, day, year] = match;
+      return isModalMay(match, month, year) ? null : monthDay(today, monthIndex(month), +day, year);
+    }
+  },
+  {
+    pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}\\.?(?:,?\\s+(\\d{4}))?\\b`),
+    resolve: (match, today) => {
+      const [, day, month, year] = match;
+      return isModalMay(match, month, year) ? null : monthDay(today, monthIndex(month), +day, year);
+    }
+  },
+  {
+    // US order unless the first number cannot be a month; "1/2 hour" is a fraction
+    pattern: /\b(?!24\/7\b)(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b(?!\s*(?:an?\s+)?(?:hours?|hrs?|minutes?|mins?|days?|weeks?)\b)/,
+    resolve: ([, first, second, year], today) => {
+      const [month, day] = +first > 12 ? [+second, +first] : [+first, +second];
+      const result = monthDay(today, month - 1, day, year && (year.length === 2 ? `20${year}` : year));
+      return result && { ...result, confidence: 0.5 };
+    }
+  },
+  {
+    pattern: new RegExp(`\\bend of (?:the month of )?${MONTH}\\b`),
+    resolve: ([, month], today) => ({ date: endOfNamedMonth(today, monthIndex(month)), confidence: 0.8 })
+  },
+  {
+    pattern: new RegExp(`\\b(?:in|within|after|over)\\s+(?:the\\s+next\\s+)?${NUMBER}\\s+(day|week|month|year)s?\\b`),
+    resolve: ([, amount, unit], today) => relative(today, amount, unit)
+  },
+  {
+    pattern: new RegExp(`\\b${NUMBER}\\s+(day|week|month|year)s?\\s+(?:from now|from today|later)\\b`),
+    resolve: ([, amount, unit], today) => relative(today, amount, unit)
+  },
+  {
+    pattern: /\bday after tomorrow\b/,
+    resolve: (match, today) => ({ date: addDays(today, 2), confidence: 0.95 })
+  },
+  {
+    pattern: /\b(today|tonight|tomorrow)\b/,
+    resolve: ([, word], today) => ({ date: addDays(today, word === 'tomorrow' ? 1 : 0), confidence: 0.95 })
+  },
+  {
+    pattern: new RegExp(`\\b(?:(next|this|coming|every)\\s+)?${WEEKDAY}(s)?\\b`),
+    // "every Monday" / "on Mondays" describe a routine, not a deadline
+    resolve: ([, modifier, weekday, plural], today) => (modifier === 'every' || plural
+      ? null
+      : nextWeekday(today, WEEKDAYS.indexOf(weekday), modifier))
+  },
+  {
+    pattern: /\bend of (this |the )?(next )?week\b/,
+    resolve: ([, , next], today) => ({ date: addDays(endOfWeek(today), next ? 7 : 0), confidence: 0.8 })
+  },
+  {
+    pattern: /\bend of (this |the )?(next )?month\b/,
+    resolve: ([, , next], today) => ({ date: endOfMonth(addMonths(startOfMonth(today), next ? 1 : 0)), confidence: 0.85 })
+  },
+  {
+    pattern: /\b(?:end of (?:this |the )?year|year[- ]end)\b/,
+    resolve: (match, today) => ({ date: exactDay(today.getUTCFullYear(), 12, 31), confidence: 0.85 })
+  },
+  {
+    pattern: /\bend of (?:the |this )?(?:semester|term)\b|\bfinals\b/,
+    resolve: (match, today) => ({ date: nextTermEnd(today), confidence: 0.4 })
+  },
+  {
+    pattern: /\bnext (week|month|year)\b/,
+    resolve: ([, unit], today) => ({ ...relative(today, '1', unit), confidence: 0.6 })
+  },
+  {
+    pattern: new RegExp(`\\b(by|in|before|until|till|during)\\s+${MONTH}\\b`),
+    resolve: ([, preposition, month], today) => {
+      const end = endOfNamedMonth(today, monthIndex(month));
+      const date = preposition === 'before' ? addDays(startOfMonth(end), -1) : end;
+      return { date, confidence: 0.5 };
+    }
+  }
+];
+
+// "may" next to a number is mostly the verb ("I may 3 times a week run",
+// "2 may be enough"): a date needs a day-of-month word, a year or a
+// deadline word in front
+const isModalMay = (match, month, year) => month === 'may'
+  && !year
+  && !/\d(?:st|nd|rd|th)\b|\bof\b/.test(match[0])
+  && !/\b(?:by|on|due|until|till|before)\s+$/.test(match.input.slice(0, match.index));
+
+const toDay = isoDay => new Date(`${isoDay}T00:00:00Z`);
+
+const formatDay = date => date.toISOString().split('T')[0];
+
+// Rejects impossible dates like Feb 30 instead of rolling them over
+const exactDay = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : new Date(NaN);
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const startOfMonth = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+const endOfMonth = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+
+// Same day n months later, clamped to the month's length (Jan 31 + 1 month = Feb 28/29)
+const addMonths = (date, months) => {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  return new Date(Date.UTC(
+    target.getUTCFullYear(),
+    target.getUTCMonth(),
+    Math.min(date.getUTCDate(), endOfMonth(target).getUTCDate())
+  ));
+};
+
+// Sunday closing the Monday-based week of the date
+const endOfWeek = date => addDays(date, (7 - date.getUTCDay()) % 7);
+
+const monthIndex = name => MONTHS.indexOf(name.slice(0, 3));
+
+// Without a year: this year's date, or next year's once it has passed
+const monthDay = (today, month, day, year) => {
+  if (year) {
+    return { date: exactDay(+year, month + 1, day), confidence: 0.9 };
+  }
+  let date = exactDay(today.getUTCFullYear(), month + 1, day);
+  if (date < today) {
+    date = exactDay(today.getUTCFullYear() + 1, month + 1, day);
+  }
+  return { date, confidence: 0.85 };
+};
+
+const endOfNamedMonth = (today, month) => {
+  const end = endOfMonth(new Date(Date.UTC(today.getUTCFullYear(), month, 1)));
+  return end < today ? endOfMonth(new Date(Date.UTC(today.getUTCFullYear() + 1, month, 1))) : end;
+};
+
+const relative = (today, amount, unit) => {
+  const word = amount.replace(/^a\s+/, '').replace(/\s+of$/, '');
+  const count = /^\d+$/.test(word) ? parseInt(word) : NUMBER_WORDS[word];
+  // "a few" / "a couple of" are estimates
+  const confidence = /^\d+$/.test(word) ? 0.9 : ['couple', 'few', 'several'].includes(word) ? 0.6 : 0.8;
+
+  switch (unit) {
+    case 'day': return { date: addDays(today, count), confidence };
+    case 'week': return { date: addDays(today, count * 7), confidence };
+    case 'month': return { date: addMonths(today, count), confidence };
+    default: return { date: addMonths(today, count * 12), confidence };
+  }
+};
+
+const nextWeekday = (today, weekday, modifier) => {
+  // Upcoming occurrence, never today
+  const upcoming = addDays(today, ((weekday - today.getUTCDay() + 7) % 7) || 7);
+  if (modifier === 'next' && upcoming <= endOfWeek(today)) {
+    return { date: addDays(upcoming, 7), confidence: 0.7 };
+  }
+  return { date: upcoming, confidence: 0.8 };
+};
+
+const nextTermEnd = today => {
+  const year = today.getUTCFullYear();
+  const candidates = TERM_ENDS.map(([month, day]) => exactDay(year, month, day)).filter(date => date >= today);
+  return candidates[0] || exactDay(year + 1, TERM_ENDS[0][0], TERM_ENDS[0][1]);
+};
+
+export default { parseDeadline, parseBestDeadline, todayIn, isValidTimeZone };
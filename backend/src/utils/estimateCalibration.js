@@ -0,0 +1,85 @@
+// Estimate calibration: the decomposer's hour estimates are compared with
+// the time users log on the tasks they complete. Per subject and complexity
+// the ratio of actual to estimated hours becomes a correction factor that
+// rescales new estimates before they are scheduled.
+
+import { getLeafTasks, rollUpTasks } from './taskTree.js';
+
+const normalizeSubject = subject => String(subject ?? '').trim().toLowerCase();
+const round = (value, step) => Math.round(value / step) * step;
+const sumOf = (buckets, key) => buckets.reduce((sum, bucket) => sum + bucket[key], 0);
+
+/**
+ * Group completed tasks into calibration buckets
+ * @param {Array} samples - { subject, complexity, estimatedHours, actualHours } per completed task
+ * @returns {Array} Buckets { subject, complexity, samples, estimatedHours, actualHours, ratio }
+ */
+export const buildCalibration = samples => {
+  const buckets = new Map();
+  samples
+    .filter(sample => sample.estimatedHours > 0 && sample.actualHours > 0)
+    .forEach(sample => {
+      const subject = normalizeSubject(sample.subject);
+      const complexity = sample.complexity || 'medium';
+      const key = `${subject}|${complexity}`;
+      const bucket = buckets.get(key) || { subject, complexity, samples: 0, estimatedHours: 0, actualHours: 0 };
+      bucket.samples += 1;
+      bucket.estimatedHours += sample.estimatedHours;
+      bucket.actualHours += sample.actualHours;
+      buckets.set(key, bucket);
+    });
+
+  return [...buckets.values()].map(bucket => ({
+    ...bucket,
+    estimatedHours: round(bucket.estimatedHours, 0.1),
+    actualHours: round(bucket.actualHours, 0.1),
+    ratio: round(bucket.actualHours / bucket.estimatedHours, 0.01)
+  }));
+};
+
+/**
+ * Correction factor for a goal: from its subject and complexity when that
+ * bucket has enough samples, else from the subject across complexities
+ * @param {Array} calibration - buildCalibration output
+ * @param {Object} goal - { subject, complexity }
+ * @param {Object} limits - { minSamples, maxFactor }
+ * @returns {Object} { factor, samples, basis }; factor 1 and basis null without enough history
+ */
+export const findCalibrationFactor = (calibration = [], goal, { minSamples = 3, maxFactor = 3 } = {}) => {
+  const sameSubject = calibration.filter(bucket => bucket.subject === normalizeSubject(goal.subject));
+  const candidates = [
+    { basis: 'subject and complexity', buckets: sameSubject.filter(bucket => bucket.complexity === (goal.complexity || 'medium')) },
+    { basis: 'subject', buckets: sameSubject }
+  ];
+
+  for (const { basis, buckets } of candidates) {
+    const samples = sumOf(buckets, 'samples');
+    if (samples >= minSamples) {
+      const ratio = sumOf(buckets, 'actualHours') / sumOf(buckets, 'estimatedHours');
+      const factor = round(Math.min(maxFactor, Math.max(1 / maxFactor, ratio)), 0.01);
+      return { factor, samples, basis };
+    }
+  }
+  return { factor: 1, samples: sumOf(sameSubject, 'samples'), basis: null };
+};
+
+/**
+ * Rescale leaf estimates by a correction factor; parents roll up again
+ * @param {Array} tasks - Flat task list from the decomposer
+ * @param {number} factor - Correction factor (1 keeps the estimates)
+ * @returns {Array} New task list; leaves carry rawEstimatedHours and calibrationFactor
+ */
+export const calibrateTasks = (tasks, factor = 1) => {
+  const leaves = new Set(getLeafTasks(tasks));
+  const calibrated = tasks.map(task => {
+    if (!leaves.has(task)) return task;
+    const rawEstimatedHours = task.rawEstimatedHours ?? task.estimatedHours;
+    return {
+      ...task,
+      rawEstimatedHours,
+      estimatedHours: factor === 1 ? rawEstimatedHours : Math.max(0.5, round(rawEstimatedHours * factor, 0.5)),
+      calibrationFactor: factor
+    };
+  });
+  return factor === 1 || leaves.size === tasks.length ? calibrated : rollUpTasks(calibrated);
+};
@@ -0,0 +1,134 @@
+// Priority model: a deterministic 1-10 score from explicit factors. Each
+// factor rates a task from 0 to 1; weighted, the ratings spread the nine
+// points above the minimum score, so a task's model score is 1 plus the
+// points listed in its breakdown.
+
+import { findCriticalPath } from './taskGraph.js';
+import { getTaskId } from './taskTree.js';
+
+export const PRIORITY_FACTORS = ['urgency', 'importance', 'dependencies', 'criticalPath', 'effort', 'tendency'];
+
+const IMPORTANCE = { high: 1, medium: 0.6, low: 0.2 };
+// How strongly a user's tendency (from Memory) pulls early tasks forward
+const TENDENCY_PRESSURE = {
+  procrastinator: 1,
+  'overly optimistic': 1,
+  'slightly optimistic': 0.6,
+  balanced: 0.4,
+  realistic: 0.2,
+  proactive: 0,
+  overachiever: 0
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * How many tasks in the list wait on each task, directly or through others
+ * @private
+ */
+const countDependents = tasks => {
+  const dependents = new Map(tasks.map(task => [getTaskId(task), []]));
+  tasks.forEach(task => {
+    (task.dependsOn || []).map(String).forEach(ref => dependents.get(ref)?.push(getTaskId(task)));
+  });
+
+  const reach = (id, seen) => {
+    (dependents.get(id) || []).forEach(next => {
+      if (!seen.has(next)) {
+        seen.add(next);
+        reach(next, seen);
+      }
+    });
+    return seen;
+  };
+  return tasks.map(task => reach(getTaskId(task), new Set()).size);
+};
+
+/**
+ * Rate every factor of one task
+ * @private
+ */
+const rateTask = (task, { index, count, dependents, critical, daysUntilDeadline, userTendency, urgencyHorizonDays, effortCapHours }) => {
+  const hours = Number(task.estimatedHours) || 0;
+  const pressure = TENDENCY_PRESSURE[userTendency] ?? TENDENCY_PRESSURE.balanced;
+  const earliness = count > 1 ? 1 - index / (count - 1) : 1;
+  const hasDeadline = typeof daysUntilDeadline === 'number';
+
+  return {
+    urgency: {
+      value: hasDeadline ? 1 - clamp(daysUntilDeadline / urgencyHorizonDays, 0, 1) : 0,
+      detail: hasDeadline ? `${daysUntilDeadline} days to the deadline` : 'no deadline'
+    },
+    importance: {
+      // Deliverables unblock the next milestone
+      value: Math.min(1, (IMPORTANCE[task.priority] ?? IMPORTANCE.medium) + (task.milestone ? 0.4 : 0)),
+      detail: `${task.priority || 'medium'} priority${task.milestone ? ', milestone' : ''}`
+    },
+    dependencies: {
+      value: count > 1 ? dependents / (count - 1) : 0,
+      detail: `${dependents} of ${count - 1} other tasks wait on it`
+    },
+    criticalPath: {
+      // Any delay on the longest chain of dependent work delays the whole goal
+      value: critical ? 1 : 0,
+      detail: critical ? 'on the critical path' : 'not on the critical path'
+    },
+    effort: {
+      // Short tasks are quick wins
+      value: 1 - clamp(hours / effortCapHours, 0, 1),
+      detail: `${hours}h estimated`
+    },
+    tendency: {
+      value: pressure * earliness,
+      detail: `${userTendency || 'balanced'} user, task ${index + 1} of ${count}`
+    }
+  };
+};
+
+/**
+ * Score tasks with the priority model
+ * @param {Array} tasks - Work items of one goal, in plan order
+ * @param {Object} context - { daysUntilDeadline, userTendency }
+ * @param {Object} settings - { weights, urgencyHorizonDays, effortCapHours } (see config/priority.js)
+ * @returns {Array} Per task { modelScore, criticalPath, scoreFactors: [{ factor, value, weight, points, detail }] }
+ */
+export const scoreByModel = (tasks, context = {}, { weights, urgencyHorizonDays = 30, effortCapHours = 8 }) => {
+  const totalWeight = PRIORITY_FACTORS.reduce((sum, factor) => sum + (weights[factor] || 0), 0);
+  const dependents = countDependents(tasks);
+  const critical = new Set(findCriticalPath(tasks));
+
+  return tasks.map((task, index) => {
+    const ratings = rateTask(task, {
+      index,
+      count: tasks.length,
+      dependents: dependents[index],
+      critical: critical.has(task),
+      daysUntilDeadline: context.daysUntilDeadline,
+      userTendency: context.userTendency,
+      urgencyHorizonDays,
+      effortCapHours
+    });
+
+    const scoreFactors = PRIORITY_FACTORS.map(factor => {
+      const weight = weights[factor] || 0;
+      const { value, detail } = ratings[factor];
+      const points = totalWeight > 0 ? (9 * value * weight) / totalWeight : 0;
+      return { factor, value: round(value, 2), weight, points: round(points, 2), detail };
+    });
+    const modelScore = 1 + scoreFactors.reduce((sum, entry) => sum + entry.points, 0);
+    return { modelScore: round(modelScore, 1), criticalPath: critical.has(task), scoreFactors };
+  });
+};
+
+/**
+ * Blend the AI score with the model score
+ * @param {number|null} llmScore - AI score (1-10), null when there is none
+ * @param {number} modelScore - Priority model score (1-10)
+ * @param {number} llmWeight - Share of the AI score (0-1)
+ * @returns {number} Final score, 1-10 with one decimal
+ */
+export const blendScores = (llmScore, modelScore, llmWeight) => {
+  const blended = typeof llmScore === 'number' ? llmWeight * llmScore + (1 - llmWeight) * modelScore : modelScore;
+  return round(clamp(blended, 1, 10), 1);
+};
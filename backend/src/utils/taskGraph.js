@@ -0,0 +1,200 @@
+// Task dependencies: `dependsOn` holds the ids of the tasks that must be
+// finished first, and the links must form a DAG. A link to a parent task
+// stands for every leaf below it, and a task inherits its parents' links,
+// so only leaves need to be ordered.
+
+import { getLeafTasks, getTaskId } from './taskTree.js';
+
+const refsOf = task => (task.dependsOn || []).map(String);
+const parentOf = (task, byId) => (task.parentId === undefined || task.parentId === null ? undefined : byId.get(String(task.parentId)));
+
+const ancestorsOf = (task, byId) => {
+  const ancestors = [];
+  let parent = parentOf(task, byId);
+  while (parent && parent !== task && !ancestors.includes(parent)) {
+    ancestors.push(parent);
+    parent = parentOf(parent, byId);
+  }
+  return ancestors;
+};
+
+/**
+ * Drop links to unknown tasks or to the task itself, and every link that
+ * closes a cycle when walking the list in order. Meant for model output,
+ * where a broken link should cost the link, not the plan.
+ * @param {Array} tasks - Flat task list
+ * @returns {Array} New task objects with a clean `dependsOn`
+ */
+export const pruneDependencies = tasks => {
+  const ids = new Set(tasks.map(getTaskId));
+  const kept = new Map(tasks.map(task => [
+    getTaskId(task),
+    [...new Set(refsOf(task))].filter(ref => ids.has(ref) && ref !== getTaskId(task))
+  ]));
+
+  // Depth-first walk; an edge into a task still on the stack closes a cycle
+  const state = new Map();
+  const visit = id => {
+    state.set(id, 'active');
+    kept.set(id, kept.get(id).filter(ref => {
+      if (state.get(ref) === 'active') return false;
+      if (!state.has(ref)) visit(ref);
+      return true;
+    }));
+    state.set(id, 'done');
+  };
+  tasks.forEach(task => {
+    if (!state.has(getTaskId(task))) visit(getTaskId(task));
+  });
+
+  return tasks.map(task => ({ ...task, dependsOn: kept.get(getTaskId(task)) }));
+};
+
+/**
+ * Give every leaf the leaf ids it actually waits for: its own links plus
+ * those of its parents, with links to parents expanded to their leaves
+ * @param {Array} tasks - Flat task list
+ * @returns {Array} New task list; parents keep their links as given
+ */
+export const resolveLeafDependencies = tasks => {
+  const byId = new Map(tasks.map(task => [getTaskId(task), task]));
+  const leafIds = new Set(getLeafTasks(tasks).map(getTaskId));
+  const children = new Map();
+  tasks.forEach(task => {
+    const parent = parentOf(task, byId);
+    if (parent) children.set(getTaskId(parent), [...(children.get(getTaskId(parent)) || []), task]);
+  });
+
+  const leavesUnder = (id, seen = new Set()) => {
+    if (seen.has(id)) return [];
+    seen.add(id);
+    if (leafIds.has(id)) return [id];
+    return (children.get(id) || []).flatMap(child => leavesUnder(getTaskId(child), seen));
+  };
+
+  return tasks.map(task => {
+    const id = getTaskId(task);
+    if (id === null || !leafIds.has(id)) return task;
+    const refs = [task, ...ancestorsOf(task, byId)].flatMap(refsOf).filter(ref => byId.has(ref));
+    const dependsOn = [...new Set(refs.flatMap(ref => leavesUnder(ref)))].filter(ref => ref !== id);
+    return { ...task, dependsOn };
+  });
+};
+
+/**
+ * Problems that make a task list's links unusable
+ * @param {Array} tasks - Flat task list (hand-edited preview or resume input)
+ * @returns {Array<string>} Problem descriptions (empty when the links form a DAG)
+ */
+export const validateDependencies = tasks => {
+  const byId = new Map(tasks.map(task => [getTaskId(task), task]));
+  const errors = [];
+
+  tasks.forEach(task => {
+    const related = new Set(ancestorsOf(task, byId).map(getTaskId));
+    refsOf(task).forEach(ref => {
+      if (!byId.has(ref)) {
+        errors.push(`"${task.description}" depends on unknown task ${ref}`);
+      } else if (ref === getTaskId(task)) {
+        errors.push(`"${task.description}" depends on itself`);
+      } else if (related.has(ref) || ancestorsOf(byId.get(ref), byId).includes(task)) {
+        errors.push(`"${task.description}" cannot depend on a task it belongs to or contains`);
+      }
+    });
+  });
+  if (errors.length > 0) return errors;
+
+  const cycle = findDependencyCycle(tasks);
+  if (cycle) errors.push(`Dependency cycle: ${cycle.map(task => `"${task.description}"`).join(' → ')}`);
+  return errors;
+};
+
+/**
+ * First dependency cycle between leaves, if any
+ * @param {Array} tasks - Flat task list
+ * @returns {Array|null} Tasks around the cycle, the first repeated at the end
+ */
+export const findDependencyCycle = tasks => {
+  const leaves = getLeafTasks(resolveLeafDependencies(tasks));
+  const byId = new Map(leaves.map(task => [getTaskId(task), task]));
+  const state = new Map();
+  const stack = [];
+
+  const visit = task => {
+    const id = getTaskId(task);
+    state.set(id, 'active');
+    stack.push(task);
+    for (const ref of refsOf(task)) {
+      if (state.get(ref) === 'active') {
+        return [...stack.slice(stack.findIndex(entry => getTaskId(entry) === ref)), byId.get(ref)];
+      }
+      if (!state.has(ref) && byId.has(ref)) {
+        const cycle = visit(byId.get(ref));
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state.set(id, 'done');
+    return null;
+  };
+
+  for (const task of leaves) {
+    if (!state.has(getTaskId(task))) {
+      const cycle = visit(task);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+};
+
+/**
+ * Order tasks so every task comes after its prerequisites; among the tasks
+ * that are ready, `compare` decides (ties keep list order). Links to tasks
+ * outside the list are ignored.
+ * @param {Array} tasks - Tasks to order
+ * @param {Function} compare - Sort comparator for ready tasks
+ * @returns {Array} Ordered tasks
+ */
+export const orderByDependencies = (tasks, compare = () => 0) => {
+  const ids = new Set(tasks.map(getTaskId));
+  const remaining = [...tasks];
+  const done = new Set();
+  const ordered = [];
+
+  while (remaining.length > 0) {
+    const ready = remaining.filter(task => refsOf(task).every(ref => done.has(ref) || !ids.has(ref)));
+    // Only a cycle leaves nothing ready; the rest then keeps plain order
+    const candidates = ready.length > 0 ? ready : remaining;
+    const next = candidates.reduce((best, task) => (compare(task, best) < 0 ? task : best));
+    ordered.push(next);
+    done.add(getTaskId(next));
+    remaining.splice(remaining.indexOf(next), 1);
+  }
+  return ordered;
+};
+
+/**
+ * Longest chain of dependent tasks by estimated hours
+ * @param {Array} tasks - Tasks with resolved `dependsOn`
+ * @returns {Array} Tasks on the critical path, first to last; empty when no task depends on another
+ */
+export const findCriticalPath = tasks => {
+  const ids = new Set(tasks.map(getTaskId));
+  if (!tasks.some(task => refsOf(task).some(ref => ids.has(ref)))) return [];
+
+  const byId = new Map(tasks.map(task => [getTaskId(task), task]));
+  const chain = new Map();
+  let end = null;
+  orderByDependencies(tasks).forEach(task => {
+    const before = refsOf(task)
+      .filter(ref => chain.has(ref))
+      .reduce((best, ref) => (!best || chain.get(ref).hours > chain.get(best).hours ? ref : best), null);
+    const hours = (task.estimatedHours || 0) + (before ? chain.get(before).hours : 0);
+    chain.set(getTaskId(task), { hours, before });
+    if (!end || hours > chain.get(end).hours) end = getTaskId(task);
+  });
+
+  const path = [];
+  for (let id = end; id; id = chain.get(id).before) path.unshift(byId.get(id));
+  return path;
+};
@@ -0,0 +1,139 @@
+// Task hierarchy: milestones → tasks → subtasks, stored as a flat list in
+// which children point at their parent. Only leaves are scored and
+// scheduled; a parent's estimate, progress, status and priority score are
+// rolled up from the leaves below it. Works on plain task objects (string
+// `id`) as well as Task documents (ObjectId `_id` / `parentId`).
+
+export const TASK_LEVELS = ['milestone', 'task', 'subtask'];
+
+// Kinds of learning resources the decomposer may suggest per task
+export const RESOURCE_TYPES = ['docs', 'exercises', 'video', 'article', 'course', 'book', 'tool'];
+
+const keyOf = value => (value === undefined || value === null ? null : String(value));
+
+/**
+ * @param {Object} task - Plain task or Task document
+ * @returns {string|null} The task's id as a string
+ */
+export const getTaskId = task => keyOf(task.id ?? task._id);
+
+/**
+ * Tasks nothing else points at as parent: the actual work items
+ * @param {Array} tasks - Flat task list
+ * @returns {Array} Leaf tasks, in list order
+ */
+export const getLeafTasks = tasks => {
+  const parents = new Set(tasks.map(task => keyOf(task.parentId)).filter(Boolean));
+  return tasks.filter(task => !parents.has(getTaskId(task)));
+};
+
+/**
+ * Put updated leaves back into the full list, keeping its order
+ * @param {Array} tasks - Flat task list
+ * @param {Array} leaves - getLeafTasks(tasks) after an agent worked on them, same order
+ * @returns {Array} Task list with the leaves replaced
+ */
+export const replaceLeafTasks = (tasks, leaves) => {
+  const leafSet = new Set(getLeafTasks(tasks));
+  let next = 0;
+  return tasks.map(task => (leafSet.has(task) ? leaves[next++] : task));
+};
+
+/**
+ * Progress of a work item: the share of its acceptance criteria checked
+ * off, 100 once completed, otherwise 0 when it has no criteria
+ * @param {Object} task - Leaf task
+ * @returns {number} Percent done
+ */
+export const getLeafProgress = task => {
+  const criteria = task.acceptanceCriteria || [];
+  if (task.status === 'completed') return 100;
+  if (criteria.length === 0) return 0;
+  return Math.round((criteria.filter(criterion => criterion.done).length / criteria.length) * 100);
+};
+
+const leafRollUp = task => ({ progress: getLeafProgress(task) });
+
+const rollUpStatus = statuses => {
+  if (statuses.every(status => status === 'completed')) return 'completed';
+  if (statuses.every(status => status === 'missed')) return 'missed';
+  if (statuses.some(status => status === 'completed' || status === 'in-progress')) return 'in-progress';
+  return 'pending';
+};
+
+/**
+ * Rolled-up fields of every task: leaves get their progress, parents the
+ * sum of their leaves' hours, the hour-weighted progress of those leaves, a status
+ * derived from the leaves and the highest leaf priority score
+ * @param {Array} tasks - Flat task list
+ * @returns {Map<string, Object>} Task id → { estimatedHours, progress, status, priorityScore }
+ */
+export const computeRollUps = tasks => {
+  const children = new Map();
+  tasks.forEach(task => {
+    const parentId = keyOf(task.parentId);
+    if (parentId) children.set(parentId, [...(children.get(parentId) || []), task]);
+  });
+
+  const leavesBelow = (task, seen = new Set()) => {
+    const id = getTaskId(task);
+    // A parent reference cycle would otherwise recurse forever
+    if (seen.has(id)) return [];
+    seen.add(id);
+    const below = children.get(id);
+    return below ? below.flatMap(child => leavesBelow(child, seen)) : [task];
+  };
+
+  const rollUps = new Map();
+  tasks.forEach(task => {
+    const id = getTaskId(task);
+    if (!children.has(id)) {
+      rollUps.set(id, leafRollUp(task));
+      return;
+    }
+
+    const leaves = leavesBelow(task);
+    const hours = leaves.reduce((sum, leaf) => sum + (leaf.estimatedHours || 0), 0);
+    const doneHours = leaves
+      .reduce((sum, leaf) => sum + ((leaf.estimatedHours || 0) * getLeafProgress(leaf)) / 100, 0);
+    const scores = leaves.map(leaf => leaf.priorityScore).filter(score => typeof score === 'number');
+
+    rollUps.set(id, {
+      estimatedHours: Math.round(hours * 2) / 2,
+      progress: hours > 0 ? Math.round((doneHours / hours) * 100) : 0,
+      status: rollUpStatus(leaves.map(leaf => leaf.status || 'pending')),
+      ...(scores.length > 0 && { priorityScore: Math.max(...scores) })
+    });
+  });
+  return rollUps;
+};
+
+/**
+ * Apply computeRollUps to plain task objects
+ * @param {Array} tasks - Flat task list
+ * @returns {Array} New task objects with rolled-up fields
+ */
+export const rollUpTasks = tasks => {
+  const rollUps = computeRollUps(tasks);
+  // Hand-edited tasks may come without ids; those can only be leaves
+  return tasks.map(task => ({ ...task, ...(getTaskId(task) === null ? leafRollUp(task) : rollUps.get(getTaskId(task))) }));
+};
+
+/**
+ * Nest a flat task list: every task gets a `children` array, siblings in order
+ * @param {Array} tasks - Flat list of plain task objects
+ * @returns {Array} Top-level tasks (milestones, or tasks without a milestone)
+ */
+export const buildTaskTree = tasks => {
+  const nodes = new Map(tasks.map(task => [getTaskId(task), { ...task, children: [] }]));
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = nodes.get(keyOf(node.parentId));
+    if (parent && parent !== node) parent.children.push(node);
+    else roots.push(node);
+  });
+
+  const byOrder = (a, b) => (a.order || 0) - (b.order || 0);
+  nodes.forEach(node => node.children.sort(byOrder));
+  return roots.sort(byOrder);
+};
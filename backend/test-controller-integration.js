@@ -1,4 +1,6 @@
 // Quick API Test - Study Planner Controller Integration
+// Live by default. Run once with LLM_MODE=record to capture fixtures,
+// then LLM_MODE=replay to repeat the run offline.
 import dotenv from 'dotenv';
 import { AgentOrchestrator } from './src/services/agentOrchestrator.js';
 
@@ -27,7 +29,7 @@ async function testControllerIntegration() {
                     availableHoursPerDay: 4,
                     preferredStudyTimes: ['morning', 'afternoon'],
                     bufferTimePercent: 20,
-                    startDate: new Date().toISOString().split('T')[0]
+                    startDate: '2026-01-08' // fixed so prompts stay replayable
                 }
             }
         );